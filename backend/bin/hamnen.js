@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Hamnen command line tool
+ *
+ * Usage:
+ *   hamnen lint [--json] [--strict] [--no-docker] [--apps-dir <dir>]
+ */
+
+const USAGE = `Usage: hamnen <command> [options]
+
+Commands:
+  lint    Validate every app's description.json and docker-compose.yml
+
+Options for lint:
+  --json             Print the full report as JSON
+  --strict           Exit with an error on warnings too
+  --no-docker        Skip checks that need the Docker Engine
+  --apps-dir <dir>   Apps directory (default: APPS_DIR or ../apps)
+`;
+
+/**
+ * Split argv into flags and a value for --apps-dir
+ */
+function parseArgs(args) {
+  const options = { json: false, strict: false, docker: true, appsDir: null };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--json':
+        options.json = true;
+        break;
+      case '--strict':
+        options.strict = true;
+        break;
+      case '--no-docker':
+        options.docker = false;
+        break;
+      case '--apps-dir':
+        options.appsDir = args[++i];
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function lint(args) {
+  const options = parseArgs(args);
+
+  // Must be set before the loader reads it
+  if (options.appsDir) {
+    process.env.APPS_DIR = require('path').resolve(options.appsDir);
+  }
+  const catalogValidator = require('../utils/catalogValidator');
+
+  const report = await catalogValidator.validateCatalog({ checkDocker: options.docker });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const issue of report.issues) {
+      console.log(`${issue.level.padEnd(7)} ${issue.code}: ${issue.message}`);
+    }
+    for (const app of report.apps) {
+      for (const issue of app.issues) {
+        const file = issue.file ? `${app.id}/${issue.file}` : app.id;
+        console.log(`${issue.level.padEnd(7)} ${file}: ${issue.message} [${issue.code}]`);
+      }
+    }
+
+    const { apps, invalidApps, errors, warnings } = report.summary;
+    console.log(`\n${apps} apps checked, ${invalidApps} invalid: ${errors} error(s), ${warnings} warning(s)`);
+  }
+
+  const failed = report.summary.errors > 0 || (options.strict && report.summary.warnings > 0);
+  return failed ? 1 : 0;
+}
+
+const COMMANDS = { lint };
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  return COMMANDS[command](args);
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
@@ -1,5 +1,20 @@
 const appLoader = require('../utils/appLoader');
 const dockerManager = require('../utils/docker');
+const healthProber = require('../utils/healthProber');
+const appOperations = require('../utils/appOperations');
+const secretStore = require('../utils/secretStore');
+const configStore = require('../utils/configStore');
+const statsCollector = require('../utils/statsCollector');
+const updateChecker = require('../utils/updateChecker');
+const { sendError } = require('../utils/errors');
+const { openEventStream } = require('../utils/sse');
+
+/**
+ * Health is only meaningful while an app has containers
+ */
+function healthFor(appId, status) {
+  return status === 'stopped' ? null : healthProber.getHealth(appId);
+}
 
 /**
  * Get all available applications
@@ -7,22 +22,30 @@ const dockerManager = require('../utils/docker');
 async function listApps(req, res) {
   try {
     const apps = await appLoader.loadApps();
+    const resolveUrl = await appOperations.getUrlResolver({ requestHost: req.hostname });
 
-    // Get status for each app
-    const appsWithStatus = await Promise.all(
-      apps.map(async (app) => {
-        try {
-          const status = await dockerManager.getAppStatus(app.id);
-          return { ...app, status: status.status };
-        } catch (error) {
-          return { ...app, status: 'unknown' };
-        }
-      })
-    );
+    // One container listing for the whole catalog instead of one per app
+    let projectStatuses = null;
+    try {
+      projectStatuses = await dockerManager.getAllProjectStatuses();
+    } catch (error) {
+      // Docker is unreachable, report every app as unknown below
+    }
+
+    const appsWithStatus = apps.map(app => {
+      const url = resolveUrl(app);
+      if (!projectStatuses) {
+        return { ...app, url, status: 'unknown', containers: [], health: null, update: updateChecker.get(app.id) };
+      }
+      const projectStatus = projectStatuses.get(dockerManager.getProjectName(app.id));
+      const status = projectStatus ? projectStatus.status : 'stopped';
+      const containers = projectStatus ? projectStatus.containers : [];
+      return { ...app, url, status, containers, health: healthFor(app.id, status), update: updateChecker.get(app.id) };
+    });
 
     res.json({ apps: appsWithStatus });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 }
 
@@ -39,60 +62,180 @@ async function getApp(req, res) {
       return res.status(404).json({ error: 'Application not found' });
     }
 
-    const status = await dockerManager.getAppStatus(appId);
-    res.json({ ...app, ...status });
+    const status = await dockerManager.getAppStatus(appId, { detailed: true });
+    const url = await appOperations.getAppUrl(app, { requestHost: req.hostname });
+    res.json({ ...app, url, ...status, health: healthFor(appId, status.status), update: updateChecker.get(app.id) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 }
 
 /**
- * Start an application
+ * Respond to an operation request with the job that carries it out
+ */
+function sendJob(res, job, message) {
+  res.status(202).json({
+    message,
+    jobId: job.id,
+    job
+  });
+}
+
+/**
+ * Start an application (pull, up, wait for health) as a background job
  */
 async function startApp(req, res) {
   try {
     // Support both "name" and "category/name" format
     const appId = req.params[0] || req.params.name;
+    const { withDependencies, ignoreDependencies } = req.body || {};
+    const job = await appOperations.start(appId, {
+      withDependencies: withDependencies === true,
+      ignoreDependencies: ignoreDependencies === true,
+      requestHost: req.hostname,
+      user: req.user.username
+    });
 
-    // Check if app exists
-    const app = await appLoader.findAppById(appId);
-    if (!app) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
+    sendJob(res, job, `Starting application ${appId}`);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
 
-    // Start the application
-    await dockerManager.startApp(appId);
+/**
+ * Stop an application as a background job
+ */
+async function stopApp(req, res) {
+  try {
+    // Support both "name" and "category/name" format
+    const appId = req.params[0] || req.params.name;
+    const job = await appOperations.stop(appId, {
+      force: (req.body || {}).force === true,
+      user: req.user.username
+    });
 
-    // Wait a moment and get status
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    const status = await dockerManager.getAppStatus(appId);
+    sendJob(res, job, `Stopping application ${appId}`);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
 
-    res.json({
-      message: `Application ${app.name || appId} started`,
-      status,
-      url: `http://localhost:${app.port}${app.path || '/'}`
-    });
+/**
+ * Restart an application as a background job
+ */
+async function restartApp(req, res) {
+  try {
+    // Support both "name" and "category/name" format
+    const appId = req.params[0] || req.params.name;
+    const job = await appOperations.restart(appId, { requestHost: req.hostname, user: req.user.username });
+
+    sendJob(res, job, `Restarting application ${appId}`);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 }
 
 /**
- * Stop an application
+ * Start, stop or restart a single service of an application as a background job
  */
-async function stopApp(req, res) {
+async function serviceAction(req, res) {
+  try {
+    const { 0: appId, 1: service, 2: action } = req.params;
+    const job = await appOperations.serviceAction(appId, service, action, { user: req.user.username });
+
+    sendJob(res, job, `Running ${action} on ${service} of ${appId}`);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Pull an application's images as a background job
+ */
+async function pullApp(req, res) {
   try {
     // Support both "name" and "category/name" format
     const appId = req.params[0] || req.params.name;
+    const job = await appOperations.pull(appId, { user: req.user.username });
 
-    await dockerManager.stopApp(appId);
+    sendJob(res, job, `Pulling images for ${appId}`);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
 
-    res.json({
-      message: `Application ${appId} stopped`,
-      status: 'stopped'
-    });
+/**
+ * Pull an application's images and recreate it if it runs, as a background job
+ */
+async function updateApp(req, res) {
+  try {
+    const appId = req.params[0] || req.params.name;
+    const job = await appOperations.update(appId, { user: req.user.username });
+
+    sendJob(res, job, `Updating application ${appId}`);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Reveal an application's generated credentials (admin only)
+ */
+async function getAppSecrets(req, res) {
+  try {
+    const appId = req.params[0];
+    const app = await appOperations.findApp(appId);
+    const secrets = await secretStore.revealAppSecrets(app);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ appId: app.id, secrets });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+}
+
+/**
+ * Set one of an application's secrets to a chosen value (admin only)
+ */
+async function setAppSecret(req, res) {
+  try {
+    const { 0: appId, 1: name } = req.params;
+    const app = await appOperations.findApp(appId);
+    await secretStore.setAppSecret(app, name, (req.body || {}).value);
+
+    res.json({ message: `Secret ${name} of ${app.id} updated; restart the app to apply it` });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Get an application's settings: its declared variables with their
+ * values and the compose override (admin only)
+ */
+async function getAppConfig(req, res) {
+  try {
+    const appId = req.params[0];
+    const app = await appOperations.findApp(appId);
+    res.json(await configStore.getAppConfig(app));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Replace an application's settings (admin only)
+ */
+async function setAppConfig(req, res) {
+  try {
+    const appId = req.params[0];
+    const app = await appOperations.findApp(appId);
+    const { env, override } = req.body || {};
+    const config = await configStore.setAppConfig(app, { env, override });
+
+    res.json({ message: `Settings of ${app.id} saved; restart the app to apply them`, ...config });
+  } catch (error) {
+    sendError(res, error);
   }
 }
 
@@ -109,7 +252,81 @@ async function getAppLogs(req, res) {
 
     res.json({ logs });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+}
+
+/**
+ * Recent CPU, memory, network and block IO usage of an application
+ */
+async function getAppStats(req, res) {
+  try {
+    // Support both "name" and "category/name" format
+    const appId = req.params[0] || req.params.name;
+    const app = await appLoader.findAppById(appId);
+
+    if (!app) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    res.json(statsCollector.getAppStats(app.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Follow application logs as Server-Sent Events
+ * Query: service (comma separated), tail, since (Unix seconds or RFC 3339)
+ */
+async function streamAppLogs(req, res) {
+  try {
+    // Support both "name" and "category/name" format
+    const appId = req.params[0] || req.params.name;
+    const app = await appLoader.findAppById(appId);
+
+    if (!app) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const services = [].concat(req.query.service || [])
+      .flatMap(value => String(value).split(','))
+      .filter(Boolean);
+    const tail = req.query.tail === undefined ? 200 : Number(req.query.tail);
+
+    // EventSource resends the last event id (a log timestamp) when it reconnects,
+    // so resume just after that line instead of replaying the backlog
+    const lastEventId = req.get('Last-Event-ID');
+    const cursor = lastEventId || req.query.since;
+    const since = cursor ? dockerManager.toLogCursor(cursor, Boolean(lastEventId)) : undefined;
+
+    // Lines can arrive before the stream is open, hold on to them until then
+    let stream = null;
+    const pending = [];
+    const sendLine = line => stream.send('log', line, line.timestamp);
+
+    let disconnected = false;
+    req.on('close', () => {
+      disconnected = true;
+    });
+
+    const follower = await dockerManager.followAppLogs(
+      appId,
+      { services, since, tail },
+      line => (stream ? sendLine(line) : pending.push(line)),
+      container => stream && stream.send('end', { container })
+    );
+
+    if (disconnected) {
+      follower.close();
+      return;
+    }
+
+    stream = openEventStream(req, res, () => follower.close());
+    stream.send('services', { services: follower.services });
+    pending.forEach(sendLine);
+  } catch (error) {
+    sendError(res, error);
   }
 }
 
@@ -118,5 +335,15 @@ module.exports = {
   getApp,
   startApp,
   stopApp,
-  getAppLogs
+  restartApp,
+  serviceAction,
+  pullApp,
+  updateApp,
+  getAppSecrets,
+  setAppSecret,
+  getAppConfig,
+  setAppConfig,
+  getAppLogs,
+  streamAppLogs,
+  getAppStats
 };
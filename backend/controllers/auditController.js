@@ -0,0 +1,85 @@
+const auditLog = require('../utils/auditLog');
+const { sendError, ValidationError } = require('../utils/errors');
+const { parseLimit, parseBefore, parseTime } = require('../utils/query');
+
+const OUTCOMES = ['succeeded', 'denied', 'failed'];
+const FORMATS = ['json', 'csv'];
+
+/**
+ * Turn the audit query string into auditLog.query filters
+ * Query: user, method, path (substring), outcome, requestId, since and
+ * until (ISO 8601)
+ */
+function parseFilters(query) {
+  if (query.outcome !== undefined && !OUTCOMES.includes(query.outcome)) {
+    throw new ValidationError(`outcome must be one of ${OUTCOMES.join(', ')}`);
+  }
+
+  return {
+    user: query.user ? String(query.user) : undefined,
+    method: query.method ? String(query.method).toUpperCase() : undefined,
+    path: query.path ? String(query.path) : undefined,
+    outcome: query.outcome,
+    requestId: query.requestId ? String(query.requestId) : undefined,
+    since: parseTime(query.since, 'since'),
+    until: parseTime(query.until, 'until')
+  };
+}
+
+/**
+ * Audit entries newest first, a page at a time
+ * Query: the filters above, limit (1-500, default 100) and before (seq)
+ */
+async function listEntries(req, res) {
+  try {
+    const limit = parseLimit(req.query.limit, 100);
+    const before = parseBefore(req.query.before, 'an entry seq');
+
+    res.json(await auditLog.query({ ...parseFilters(req.query), limit, before }));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Download every matching entry, oldest first, as JSON or CSV
+ * Query: the filters above and format ("json" or "csv")
+ */
+async function exportEntries(req, res) {
+  try {
+    const format = req.query.format || 'json';
+    if (!FORMATS.includes(format)) {
+      throw new ValidationError(`format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const { entries } = await auditLog.query(parseFilters(req.query));
+    entries.reverse();
+
+    const filename = `hamnen-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(auditLog.toCsv(entries));
+    } else {
+      res.json({ exportedAt: new Date().toISOString(), entries });
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Check that no entry was changed, removed or reordered
+ */
+async function verifyLog(req, res) {
+  try {
+    res.json(await auditLog.verify());
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  listEntries,
+  exportEntries,
+  verifyLog
+};
@@ -0,0 +1,118 @@
+const auth = require('../utils/auth');
+const userStore = require('../utils/userStore');
+const { sendError, HamnenError, ValidationError } = require('../utils/errors');
+
+/**
+ * Log in with username and password and receive a session cookie
+ */
+async function login(req, res) {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new ValidationError('username and password are required');
+    }
+
+    const user = await auth.login(username, password, req.ip);
+    if (!user) {
+      throw new HamnenError('Invalid username or password', { statusCode: 401, code: 'INVALID_CREDENTIALS' });
+    }
+
+    const sessionId = auth.createSession(user);
+    res.setHeader('Set-Cookie', auth.sessionCookie(sessionId, req.secure));
+    res.json({ user: { id: user.id, username: user.username, role: user.role } });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * End the current session
+ */
+async function logout(req, res) {
+  if (req.auth.sessionId) {
+    auth.destroySession(req.auth.sessionId);
+  }
+  res.setHeader('Set-Cookie', auth.sessionCookie(null, req.secure));
+  res.json({ message: 'Logged out' });
+}
+
+/**
+ * The authenticated caller
+ */
+async function me(req, res) {
+  res.json({ user: req.user, via: req.auth.via });
+}
+
+/**
+ * Change the caller's own password
+ */
+async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      throw new ValidationError('currentPassword and newPassword are required');
+    }
+
+    const user = await userStore.findUser(req.user.id);
+    if (!user || !(await userStore.verifyPassword(currentPassword, user.passwordHash))) {
+      throw new ValidationError('Current password is incorrect');
+    }
+
+    await userStore.updateUser(user.id, { password: newPassword });
+    // Log out everywhere else, keep the session that made the change
+    auth.destroyUserSessions(user.id);
+    if (req.auth.sessionId) {
+      res.setHeader('Set-Cookie', auth.sessionCookie(auth.createSession(user), req.secure));
+    }
+
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * List the caller's API tokens
+ */
+async function listTokens(req, res) {
+  try {
+    res.json({ tokens: await userStore.listTokens(req.user.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Create an API token. The token value is only shown in this response.
+ */
+async function createToken(req, res) {
+  try {
+    const { name, role } = req.body || {};
+    const token = await userStore.createToken(req.user.id, { name, role });
+    res.status(201).json(token);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Revoke one of the caller's API tokens
+ */
+async function deleteToken(req, res) {
+  try {
+    await userStore.deleteToken(req.user.id, req.params.id);
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  login,
+  logout,
+  me,
+  changePassword,
+  listTokens,
+  createToken,
+  deleteToken
+};
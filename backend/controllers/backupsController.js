@@ -0,0 +1,69 @@
+const appOperations = require('../utils/appOperations');
+const backupManager = require('../utils/backupManager');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Backups of an application, newest first
+ */
+async function listBackups(req, res) {
+  try {
+    const app = await appOperations.findApp(req.params[0]);
+    res.json({ backups: await backupManager.list(app.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Back up an application's data as a background job
+ * Body: { mode: "stop" | "pause" }
+ */
+async function backupApp(req, res) {
+  try {
+    const appId = req.params[0];
+    const { mode } = req.body || {};
+    const job = await appOperations.backup(appId, {
+      ...(mode !== undefined && { mode }),
+      user: req.user.username
+    });
+
+    res.status(202).json({ message: `Backing up application ${appId}`, jobId: job.id, job });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Replace an application's data with one of its backups, as a background job
+ */
+async function restoreBackup(req, res) {
+  try {
+    const [appId, backupId] = [req.params[0], req.params[1]];
+    const job = await appOperations.restore(appId, backupId, { user: req.user.username });
+
+    res.status(202).json({ message: `Restoring backup ${backupId} of ${appId}`, jobId: job.id, job });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Delete one of an application's backups
+ */
+async function deleteBackup(req, res) {
+  try {
+    const app = await appOperations.findApp(req.params[0]);
+    const backup = await backupManager.remove(app.id, req.params[1]);
+
+    res.json({ message: `Backup ${backup.id} deleted`, backup });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  listBackups,
+  backupApp,
+  restoreBackup,
+  deleteBackup
+};
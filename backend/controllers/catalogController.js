@@ -0,0 +1,34 @@
+const catalogValidator = require('../utils/catalogValidator');
+const portRegistry = require('../utils/portRegistry');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Validate every app's description.json and docker-compose.yml.
+ * ?docker=false skips the checks that need the Docker Engine.
+ */
+async function validateCatalog(req, res) {
+  try {
+    const report = await catalogValidator.validateCatalog({
+      checkDocker: req.query.docker !== 'false'
+    });
+    res.json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Host ports published by more than one app in the catalog
+ */
+async function getPortConflicts(req, res) {
+  try {
+    res.json({ conflicts: await portRegistry.findCatalogConflicts() });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  validateCatalog,
+  getPortConflicts
+};
@@ -0,0 +1,46 @@
+const statusMonitor = require('../utils/statusMonitor');
+const healthProber = require('../utils/healthProber');
+const statsCollector = require('../utils/statsCollector');
+const updateChecker = require('../utils/updateChecker');
+const { openEventStream } = require('../utils/sse');
+
+/**
+ * Stream app status and health transitions, resource usage samples and
+ * image update checks as Server-Sent Events
+ */
+async function streamEvents(req, res) {
+  const onHealth = update => stream.send('health', update);
+  const onStats = update => stream.send('stats', update);
+  const onUpdate = update => stream.send('update', update);
+  let unsubscribe = () => {};
+
+  const stream = openEventStream(req, res, () => {
+    unsubscribe();
+    healthProber.off('health', onHealth);
+    statsCollector.off('stats', onStats);
+    updateChecker.off('update', onUpdate);
+  });
+
+  unsubscribe = statusMonitor.subscribe(update => {
+    stream.send('status', update);
+  });
+  healthProber.on('health', onHealth);
+  statsCollector.on('stats', onStats);
+  updateChecker.on('update', onUpdate);
+
+  try {
+    // Send the full picture first so clients can drop any stale state
+    const snapshot = await statusMonitor.getSnapshot();
+    const statuses = {};
+    for (const [appId, status] of Object.entries(snapshot)) {
+      statuses[appId] = { ...status, health: healthProber.getHealth(appId) };
+    }
+    stream.send('snapshot', { statuses });
+  } catch (error) {
+    stream.send('error', { error: error.message });
+  }
+}
+
+module.exports = {
+  streamEvents
+};
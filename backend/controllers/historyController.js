@@ -0,0 +1,49 @@
+const appOperations = require('../utils/appOperations');
+const eventHistory = require('../utils/eventHistory');
+const { sendError } = require('../utils/errors');
+const { parseLimit, parseBefore, parseTime } = require('../utils/query');
+
+/**
+ * Turn the history query string into eventHistory.query options
+ * Query: limit (1-500, default 50), before (event ID), type (comma
+ * separated), user, since and until (ISO 8601)
+ */
+function parseQuery(query) {
+  return {
+    limit: parseLimit(query.limit, 50),
+    before: parseBefore(query.before, 'an event ID'),
+    types: query.type ? String(query.type).split(',').map(type => type.trim()) : undefined,
+    user: query.user ? String(query.user) : undefined,
+    since: parseTime(query.since, 'since'),
+    until: parseTime(query.until, 'until')
+  };
+}
+
+/**
+ * Lifecycle events of all apps, newest first, or of one with ?appId=
+ */
+async function getHistory(req, res) {
+  try {
+    const appId = req.query.appId ? String(req.query.appId) : undefined;
+    res.json(await eventHistory.query({ ...parseQuery(req.query), appId }));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Lifecycle events of one application, newest first
+ */
+async function getAppHistory(req, res) {
+  try {
+    const app = await appOperations.findApp(req.params[0]);
+    res.json(await eventHistory.query({ ...parseQuery(req.query), appId: app.id }));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  getHistory,
+  getAppHistory
+};
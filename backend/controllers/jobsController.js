@@ -0,0 +1,26 @@
+const jobManager = require('../utils/jobManager');
+
+/**
+ * List recent jobs, optionally for a single app (?appId=category/name)
+ */
+async function listJobs(req, res) {
+  res.json({ jobs: jobManager.list(req.query.appId) });
+}
+
+/**
+ * Get a single job's phase, progress and result
+ */
+async function getJob(req, res) {
+  const job = jobManager.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+}
+
+module.exports = {
+  listJobs,
+  getJob
+};
@@ -0,0 +1,36 @@
+const appLoader = require('../utils/appLoader');
+const dockerManager = require('../utils/docker');
+const healthProber = require('../utils/healthProber');
+const metrics = require('../utils/metrics');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Hamnen's own metrics in the Prometheus text format
+ */
+async function getMetrics(req, res) {
+  try {
+    const apps = await appLoader.loadApps();
+
+    let projectStatuses = null;
+    try {
+      projectStatuses = await dockerManager.getAllProjectStatuses();
+    } catch (error) {
+      // Docker is unreachable, report every app as unknown below
+    }
+
+    metrics.setAppStates(apps.map(app => {
+      const projectStatus = projectStatuses && projectStatuses.get(dockerManager.getProjectName(app.id));
+      const status = projectStatuses ? (projectStatus ? projectStatus.status : 'stopped') : 'unknown';
+      return { id: app.id, status, health: status === 'stopped' ? null : healthProber.getHealth(app.id) };
+    }));
+
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  getMetrics
+};
@@ -0,0 +1,35 @@
+const networkManager = require('../utils/networkManager');
+const { sendError } = require('../utils/errors');
+
+/**
+ * The shared networks the catalog uses, with their status and attached apps
+ */
+async function listNetworks(req, res) {
+  try {
+    res.json({ networks: await networkManager.listNetworks() });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Create a missing network or recreate a misconfigured one
+ */
+async function repairNetwork(req, res) {
+  try {
+    const { action, network } = await networkManager.repair(req.params.name);
+    const messages = {
+      created: `Network ${network.name} created`,
+      recreated: `Network ${network.name} recreated`,
+      none: `Network ${network.name} needs no repair`
+    };
+    res.json({ message: messages[action], action, network });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  listNetworks,
+  repairNetwork
+};
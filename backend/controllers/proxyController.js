@@ -0,0 +1,34 @@
+const proxyManager = require('../utils/proxyManager');
+const { sendError } = require('../utils/errors');
+
+/**
+ * The reverse proxy in use and the hostname of every app
+ */
+async function listRoutes(req, res) {
+  try {
+    res.json(await proxyManager.listRoutes());
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Send Caddy the current routes, e.g. after it was restarted by hand
+ */
+async function syncRoutes(req, res) {
+  try {
+    const { synced, routes } = await proxyManager.syncCaddy();
+    res.json({
+      message: synced ? `Caddy now routes ${routes} apps` : 'Caddy is not the selected proxy; nothing to send',
+      synced,
+      routes
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  listRoutes,
+  syncRoutes
+};
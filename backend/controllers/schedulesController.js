@@ -0,0 +1,102 @@
+const scheduler = require('../utils/scheduler');
+const { sendError } = require('../utils/errors');
+const { parseLimit } = require('../utils/query');
+
+/**
+ * Every schedule with its next run and how its last run went
+ */
+async function listSchedules(req, res) {
+  try {
+    res.json({ schedules: await scheduler.list() });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+async function getSchedule(req, res) {
+  try {
+    res.json(await scheduler.get(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Add a schedule
+ * Body: { name, appId, action, cron, options, enabled, missedRuns }
+ */
+async function createSchedule(req, res) {
+  try {
+    const schedule = await scheduler.create(req.body);
+    res.status(201).json({ message: `Schedule ${schedule.name} created`, schedule });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Replace a schedule's fields
+ */
+async function updateSchedule(req, res) {
+  try {
+    const schedule = await scheduler.update(req.params.id, req.body);
+    res.json({ message: `Schedule ${schedule.name} saved`, schedule });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+async function deleteSchedule(req, res) {
+  try {
+    const schedule = await scheduler.remove(req.params.id);
+    res.json({ message: `Schedule ${schedule.name} deleted` });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Run a schedule's action now. Returns its job, or the skipped run when
+ * there was nothing to do.
+ */
+async function runSchedule(req, res) {
+  try {
+    const { run, job, finished } = await scheduler.runNow(req.params.id, { user: req.user.username });
+    if (!job) {
+      const skipped = await finished;
+      res.json({ message: skipped.error, run: skipped });
+      return;
+    }
+
+    res.status(202).json({ message: `Running ${run.action} of ${run.appId}`, jobId: job.id, job, run });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Recent runs of all schedules, or of one with ?scheduleId=
+ * Query: limit (1-500, default 50)
+ */
+async function getHistory(req, res) {
+  try {
+    const limit = parseLimit(req.query.limit, 50);
+    if (req.query.scheduleId) {
+      await scheduler.get(req.query.scheduleId);
+    }
+
+    res.json({ runs: await scheduler.getHistory({ scheduleId: req.query.scheduleId, limit }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  getHistory
+};
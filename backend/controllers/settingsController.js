@@ -0,0 +1,47 @@
+const settingsStore = require('../utils/settingsStore');
+const proxyManager = require('../utils/proxyManager');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Host-wide settings applied to every app, with the defaults they fall back to
+ */
+async function getSettings(req, res) {
+  try {
+    res.json({ settings: await settingsStore.get(), defaults: settingsStore.getDefaults() });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Change some of the host-wide settings (admin only)
+ */
+async function updateSettings(req, res) {
+  try {
+    const settings = await settingsStore.update(req.body);
+    let message = 'Settings saved; restart running apps to apply them';
+
+    // Caddy takes new routes without restarting anything
+    if ('proxy' in req.body || 'baseDomain' in req.body) {
+      try {
+        const { synced, routes } = await proxyManager.syncCaddy();
+        if (synced) message += `. Caddy now routes ${routes} apps`;
+      } catch (error) {
+        message += `. ${error.message}`;
+      }
+    }
+
+    res.json({
+      message,
+      settings,
+      defaults: settingsStore.getDefaults()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
@@ -0,0 +1,94 @@
+const stackStore = require('../utils/stackStore');
+const appOperations = require('../utils/appOperations');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Every stack with the status of its apps
+ */
+async function listStacks(req, res) {
+  try {
+    res.json({ stacks: await appOperations.describeStacks(await stackStore.list()) });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * One stack with the status of its apps
+ */
+async function getStack(req, res) {
+  try {
+    const [stack] = await appOperations.describeStacks([await stackStore.get(req.params.id)]);
+    res.json(stack);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Add a stack
+ */
+async function createStack(req, res) {
+  try {
+    const stack = await stackStore.create(req.body);
+    res.status(201).json({ message: `Stack ${stack.name} created`, stack });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Replace a stack's name, description and apps
+ */
+async function updateStack(req, res) {
+  try {
+    const stack = await stackStore.update(req.params.id, req.body);
+    res.json({ message: `Stack ${stack.name} saved`, stack });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Remove a stack; its apps keep running
+ */
+async function deleteStack(req, res) {
+  try {
+    await stackStore.remove(req.params.id);
+    res.json({ message: `Stack ${req.params.id} deleted` });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Start or stop every app of a stack as a background job
+ */
+function stackAction(action) {
+  return async (req, res) => {
+    try {
+      const requester = { user: req.user.username };
+      const job = action === 'start'
+        ? await appOperations.startStack(req.params.id, requester)
+        : await appOperations.stopStack(req.params.id, requester);
+
+      res.status(202).json({
+        message: `${action === 'start' ? 'Starting' : 'Stopping'} stack ${req.params.id}`,
+        jobId: job.id,
+        job
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = {
+  listStacks,
+  getStack,
+  createStack,
+  updateStack,
+  deleteStack,
+  startStack: stackAction('start'),
+  stopStack: stackAction('stop')
+};
@@ -0,0 +1,17 @@
+const statsCollector = require('../utils/statsCollector');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Host totals and the recent resource usage of every running app
+ */
+function getStats(req, res) {
+  try {
+    res.json(statsCollector.getStats());
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  getStats
+};
@@ -0,0 +1,42 @@
+const appOperations = require('../utils/appOperations');
+const updateChecker = require('../utils/updateChecker');
+const { sendError } = require('../utils/errors');
+
+/**
+ * The newest image update check of every app that has images pulled
+ */
+async function listUpdates(req, res) {
+  try {
+    res.json(await updateChecker.getAll());
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Check the whole catalog against the registries in the background
+ */
+function checkAll(req, res) {
+  updateChecker.checkAll().catch(error => {
+    console.warn('Failed to check for image updates:', error.message);
+  });
+  res.status(202).json({ message: 'Checking every app for image updates' });
+}
+
+/**
+ * Check one application's images against their registries
+ */
+async function checkApp(req, res) {
+  try {
+    const app = await appOperations.findApp(req.params[0]);
+    res.json(await updateChecker.check(app));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  listUpdates,
+  checkAll,
+  checkApp
+};
@@ -0,0 +1,78 @@
+const auth = require('../utils/auth');
+const userStore = require('../utils/userStore');
+const { sendError, ValidationError } = require('../utils/errors');
+
+/**
+ * List all local users
+ */
+async function listUsers(req, res) {
+  try {
+    res.json({ users: await userStore.listUsers() });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Create a user ({ username, password, role })
+ */
+async function createUser(req, res) {
+  try {
+    const { username, password, role } = req.body || {};
+    if (typeof username !== 'string') {
+      throw new ValidationError('username is required');
+    }
+    if (typeof password !== 'string') {
+      throw new ValidationError('password is required');
+    }
+
+    const user = await userStore.createUser({ username, password, role });
+    res.status(201).json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Change a user's role and/or password
+ */
+async function updateUser(req, res) {
+  try {
+    const { password, role } = req.body || {};
+    if (password !== undefined && typeof password !== 'string') {
+      throw new ValidationError('password must be a string');
+    }
+
+    const user = await userStore.updateUser(req.params.id, { password, role });
+
+    if (password !== undefined) {
+      auth.destroyUserSessions(user.id);
+    } else {
+      auth.updateUserSessions(user);
+    }
+
+    res.json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Delete a user together with their API tokens
+ */
+async function deleteUser(req, res) {
+  try {
+    await userStore.deleteUser(req.params.id);
+    auth.destroyUserSessions(req.params.id);
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser
+};
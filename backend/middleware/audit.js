@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const auditLog = require('../utils/auditLog');
+
+// Calls that only read are not audited
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// A request ID passed in by a proxy in front of Hamnen is kept
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+function outcomeOf(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return statusCode < 400 ? 'succeeded' : 'failed';
+}
+
+/**
+ * Give every request an ID, echoed in the X-Request-Id header, and write
+ * each call that changes something to the audit log once it is answered,
+ * or once the client goes away before the answer was sent.
+ * Mounted before authentication, so rejected calls are logged too; the
+ * caller is known by the time the response is sent.
+ */
+function auditRequests(req, res, next) {
+  const header = req.get('X-Request-Id');
+  req.id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  if (!MUTATING_METHODS.has(req.method)) return next();
+
+  // The response body says why a call failed and which job it started
+  let body = null;
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    body = data;
+    return json(data);
+  };
+
+  // A client that hangs up first only gets 'close', a finished call gets both
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+
+    const actor = req.user
+      ? { id: req.user.id, username: req.user.username, role: req.user.role, via: req.auth ? req.auth.via : null }
+      : null;
+
+    auditLog.append({
+      requestId: req.id,
+      actor,
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      query: req.query,
+      params: req.body || {},
+      statusCode: res.statusCode,
+      outcome: outcomeOf(res.statusCode),
+      aborted: !res.writableFinished,
+      error: body && body.error ? body.error : null,
+      jobId: body && body.jobId ? body.jobId : null
+    }).catch(error => {
+      console.error('Failed to write the audit log:', error.message);
+    });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+
+  next();
+}
+
+module.exports = {
+  auditRequests
+};
@@ -0,0 +1,97 @@
+const auth = require('../utils/auth');
+const userStore = require('../utils/userStore');
+const { sendError, HamnenError } = require('../utils/errors');
+
+// Methods a cross-site form or script could use to change something
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Origins besides Hamnen's own that may call the API with credentials,
+ * from the comma separated CORS_ORIGIN
+ */
+function allowedOrigins() {
+  return (process.env.CORS_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * The origin the browser used to reach Hamnen, as seen through trusted proxies
+ */
+function ownOrigin(req) {
+  const trusted = req.app.get('trust proxy fn')(req.socket.remoteAddress, 0);
+  const forwardedHost = trusted && req.get('X-Forwarded-Host');
+  const host = forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('Host');
+  return `${req.protocol}://${host}`;
+}
+
+/**
+ * Whether a cookie-authenticated request came from a page Hamnen trusts.
+ * The session cookie is SameSite=Lax, which still lets catalog apps on the
+ * same host or base domain post to the API with it, so the browser's Origin
+ * (or Referer) must be Hamnen's own. Requests without either do not come
+ * from a browser page.
+ */
+function isSameOrigin(req) {
+  let origin = req.get('Origin');
+  if (!origin && req.get('Referer')) {
+    try {
+      origin = new URL(req.get('Referer')).origin;
+    } catch {
+      return false;
+    }
+  }
+  if (!origin) return true;
+
+  return origin === ownOrigin(req) || allowedOrigins().includes(origin);
+}
+
+/**
+ * Reject requests without a valid session cookie or API token, and
+ * session requests that change something from another site.
+ * The caller is available as req.user ({ id, username, role }) afterwards.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const result = await auth.authenticateRequest(req);
+    if (!result) {
+      return sendError(res, new HamnenError('Authentication required', {
+        statusCode: 401,
+        code: 'UNAUTHENTICATED'
+      }));
+    }
+
+    if (result.via === 'session' && MUTATING_METHODS.has(req.method) && !isSameOrigin(req)) {
+      return sendError(res, new HamnenError('Cross-site requests are not allowed', {
+        statusCode: 403,
+        code: 'CROSS_SITE_REQUEST'
+      }));
+    }
+
+    req.user = result.user;
+    req.auth = result;
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Only let callers with at least the given role through
+ * @param {string} role - "viewer", "operator" or "admin"
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !userStore.hasRole(req.user.role, role)) {
+      return sendError(res, new HamnenError(`This action requires the ${role} role`, {
+        statusCode: 403,
+        code: 'FORBIDDEN'
+      }));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  allowedOrigins,
+  requireAuth,
+  requireRole
+};
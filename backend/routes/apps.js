@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const appsController = require('../controllers/appsController');
+const backupsController = require('../controllers/backupsController');
+const updatesController = require('../controllers/updatesController');
+const historyController = require('../controllers/historyController');
+const { requireRole } = require('../middleware/auth');
+
+// Reading apps and logs needs any role, changing their state needs operator
+const operator = requireRole('operator');
+const admin = requireRole('admin');
 
 // List all applications
 router.get('/', appsController.listApps);
@@ -8,16 +16,57 @@ router.get('/', appsController.listApps);
 // Application routes - support both "name" and "category/name" formats
 // Use wildcard (*) to match paths with slashes
 
+// Start, stop or restart a single service (before the app-level routes, which would match too).
+// Any action matches so that unknown ones get a 400 from the operation rather than a bare 404.
+router.post(/^\/(.+)\/services\/([^/]+)\/([^/]+)$/, operator, appsController.serviceAction);
+
 // Start an application
-router.post(/^\/(.+)\/start$/, appsController.startApp);
+router.post(/^\/(.+)\/start$/, operator, appsController.startApp);
 
 // Stop an application
-router.post(/^\/(.+)\/stop$/, appsController.stopApp);
+router.post(/^\/(.+)\/stop$/, operator, appsController.stopApp);
+
+// Restart an application
+router.post(/^\/(.+)\/restart$/, operator, appsController.restartApp);
+
+// Pull an application's images
+router.post(/^\/(.+)\/pull$/, operator, appsController.pullApp);
+
+// Pull an application's images and recreate it with them
+router.post(/^\/(.+)\/update$/, operator, appsController.updateApp);
+
+// Compare an application's images with their registries
+router.post(/^\/(.+)\/check-update$/, operator, updatesController.checkApp);
+
+// Back up an application's data, list, restore and delete its backups
+router.post(/^\/(.+)\/backup$/, operator, backupsController.backupApp);
+router.get(/^\/(.+)\/backups$/, backupsController.listBackups);
+router.post(/^\/(.+)\/backups\/([^/]+)\/restore$/, admin, backupsController.restoreBackup);
+router.delete(/^\/(.+)\/backups\/([^/]+)$/, admin, backupsController.deleteBackup);
+
+// Reveal an application's generated credentials
+router.get(/^\/(.+)\/secrets$/, admin, appsController.getAppSecrets);
+
+// Set one of an application's secrets
+router.put(/^\/(.+)\/secrets\/([^/]+)$/, admin, appsController.setAppSecret);
+
+// Read or replace an application's settings
+router.get(/^\/(.+)\/config$/, admin, appsController.getAppConfig);
+router.put(/^\/(.+)\/config$/, admin, appsController.setAppConfig);
 
 // Get application logs
 router.get(/^\/(.+)\/logs$/, appsController.getAppLogs);
 
-// Get specific application (must be last to not conflict with /start, /stop, /logs)
+// Follow application logs (Server-Sent Events)
+router.get(/^\/(.+)\/logs\/stream$/, appsController.streamAppLogs);
+
+// Recent resource usage of an application
+router.get(/^\/(.+)\/stats$/, appsController.getAppStats);
+
+// What happened to an application and who did it
+router.get(/^\/(.+)\/history$/, historyController.getAppHistory);
+
+// Get specific application (must be last to not conflict with the routes above)
 router.get(/^\/(.+)$/, appsController.getApp);
 
 module.exports = router;
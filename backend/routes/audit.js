@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { requireRole } = require('../middleware/auth');
+
+// The audit log is admin only
+router.use(requireRole('admin'));
+
+// Query the audit log
+router.get('/', auditController.listEntries);
+
+// Download it as JSON or CSV
+router.get('/export', auditController.exportEntries);
+
+// Check its hash chain
+router.get('/verify', auditController.verifyLog);
+
+module.exports = router;
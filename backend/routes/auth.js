@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+
+// Log in with username and password (sets the session cookie)
+router.post('/login', authController.login);
+
+// Everything below needs a session or token
+router.use(requireAuth);
+
+// End the current session
+router.post('/logout', authController.logout);
+
+// The logged in user
+router.get('/me', authController.me);
+
+// Change your own password
+router.post('/password', authController.changePassword);
+
+// Manage your own API tokens
+router.get('/tokens', authController.listTokens);
+router.post('/tokens', authController.createToken);
+router.delete('/tokens/:id', authController.deleteToken);
+
+module.exports = router;
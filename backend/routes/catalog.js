@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+
+// Lint the apps catalog
+router.get('/validate', catalogController.validateCatalog);
+
+// Host ports claimed by more than one app
+router.get('/ports', catalogController.getPortConflicts);
+
+module.exports = router;
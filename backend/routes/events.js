@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const eventsController = require('../controllers/eventsController');
+const historyController = require('../controllers/historyController');
+
+// Live app status stream (Server-Sent Events)
+router.get('/', eventsController.streamEvents);
+
+// Lifecycle events of all apps
+router.get('/history', historyController.getHistory);
+
+module.exports = router;
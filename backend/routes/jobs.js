@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const jobsController = require('../controllers/jobsController');
+
+// List recent operation jobs
+router.get('/', jobsController.listJobs);
+
+// Get a job's phase, progress and result
+router.get('/:id', jobsController.getJob);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const metricsController = require('../controllers/metricsController');
+
+// Prometheus text format, for any role
+router.get('/', metricsController.getMetrics);
+
+module.exports = router;
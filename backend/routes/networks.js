@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const networksController = require('../controllers/networksController');
+const { requireRole } = require('../middleware/auth');
+
+// List the shared networks and the apps attached to them
+router.get('/', networksController.listNetworks);
+
+// Create or recreate a network
+router.post('/:name/repair', requireRole('operator'), networksController.repairNetwork);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const proxyController = require('../controllers/proxyController');
+const { requireRole } = require('../middleware/auth');
+
+// The proxy in use and each app's hostname
+router.get('/', proxyController.listRoutes);
+
+// Push the routes to Caddy
+router.post('/sync', requireRole('admin'), proxyController.syncRoutes);
+
+module.exports = router;
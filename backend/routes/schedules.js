@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const schedulesController = require('../controllers/schedulesController');
+const { requireRole } = require('../middleware/auth');
+
+// List schedules and their past runs
+router.get('/', schedulesController.listSchedules);
+router.get('/history', schedulesController.getHistory);
+router.get('/:id', schedulesController.getSchedule);
+
+// Manage schedule definitions
+router.post('/', requireRole('admin'), schedulesController.createSchedule);
+router.put('/:id', requireRole('admin'), schedulesController.updateSchedule);
+router.delete('/:id', requireRole('admin'), schedulesController.deleteSchedule);
+
+// Run a schedule's action now
+router.post('/:id/run', requireRole('operator'), schedulesController.runSchedule);
+
+module.exports = router;
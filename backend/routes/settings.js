@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { requireRole } = require('../middleware/auth');
+
+// Read the host-wide settings
+router.get('/', settingsController.getSettings);
+
+// Change them
+router.put('/', requireRole('admin'), settingsController.updateSettings);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const stacksController = require('../controllers/stacksController');
+const { requireRole } = require('../middleware/auth');
+
+// List stacks and the status of their apps
+router.get('/', stacksController.listStacks);
+router.get('/:id', stacksController.getStack);
+
+// Manage stack definitions
+router.post('/', requireRole('admin'), stacksController.createStack);
+router.put('/:id', requireRole('admin'), stacksController.updateStack);
+router.delete('/:id', requireRole('admin'), stacksController.deleteStack);
+
+// Start or stop every app of a stack
+router.post('/:id/start', requireRole('operator'), stacksController.startStack);
+router.post('/:id/stop', requireRole('operator'), stacksController.stopStack);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const statsController = require('../controllers/statsController');
+
+// Resource usage of the host and every running app
+router.get('/', statsController.getStats);
+
+module.exports = router;
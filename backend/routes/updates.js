@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const updatesController = require('../controllers/updatesController');
+const { requireRole } = require('../middleware/auth');
+
+// Which apps have newer images in their registries
+router.get('/', updatesController.listUpdates);
+
+// Check every app again now
+router.post('/check', requireRole('operator'), updatesController.checkAll);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const usersController = require('../controllers/usersController');
+const { requireRole } = require('../middleware/auth');
+
+// User management is admin only
+router.use(requireRole('admin'));
+
+// List users
+router.get('/', usersController.listUsers);
+
+// Create a user
+router.post('/', usersController.createUser);
+
+// Change a user's role or password
+router.patch('/:id', usersController.updateUser);
+
+// Delete a user
+router.delete('/:id', usersController.deleteUser);
+
+module.exports = router;
@@ -2,22 +2,87 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const appsRouter = require('./routes/apps');
+const auditRouter = require('./routes/audit');
+const authRouter = require('./routes/auth');
+const catalogRouter = require('./routes/catalog');
+const eventsRouter = require('./routes/events');
+const jobsRouter = require('./routes/jobs');
+const metricsRouter = require('./routes/metrics');
+const networksRouter = require('./routes/networks');
+const proxyRouter = require('./routes/proxy');
+const schedulesRouter = require('./routes/schedules');
+const settingsRouter = require('./routes/settings');
+const stacksRouter = require('./routes/stacks');
+const statsRouter = require('./routes/stats');
+const updatesRouter = require('./routes/updates');
+const usersRouter = require('./routes/users');
+const auditLog = require('./utils/auditLog');
+const auth = require('./utils/auth');
+const eventHistory = require('./utils/eventHistory');
+const scheduler = require('./utils/scheduler');
+const statsCollector = require('./utils/statsCollector');
+const updateChecker = require('./utils/updateChecker');
+const { allowedOrigins, requireAuth } = require('./middleware/auth');
+const { auditRequests } = require('./middleware/audit');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// The frontend's nginx proxies /api, so trust private-network proxies for req.ip and req.secure
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal');
+
 // Middleware
-app.use(cors());
+// The UI is served same-origin through the proxy; other origins must be listed explicitly
+const corsOrigins = allowedOrigins();
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false, credentials: true }));
 app.use(express.json());
 
+// Every call that changes something is audited, including rejected logins
+app.use('/api', auditRequests);
+
 // Routes
+app.use('/api/auth', authRouter);
+
+// Every other API route needs a session or API token
+app.use('/api', requireAuth);
 app.use('/api/apps', appsRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/catalog', catalogRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/networks', networksRouter);
+app.use('/api/proxy', proxyRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/settings', settingsRouter);
+app.use('/api/stacks', stacksRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/updates', updatesRouter);
+app.use('/api/users', usersRouter);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Hamnen backend server running on port ${PORT}`);
-});
+// Prometheus scrape target; scrapers authenticate with an API token
+app.use('/metrics', requireAuth, metricsRouter);
+
+auth.bootstrap()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Hamnen backend server running on port ${PORT}`);
+    });
+    // Report a damaged audit log now rather than on the first change
+    auditLog.load().catch(error => {
+      console.error(error.message);
+    });
+    statsCollector.start();
+    // Before the scheduler, so runs it catches up on are recorded
+    eventHistory.start();
+    scheduler.start();
+    updateChecker.start();
+  })
+  .catch(error => {
+    console.error('Failed to initialise authentication:', error.message);
+    process.exit(1);
+  });
@@ -279,6 +279,50 @@ class DockerTester {
     }
   }
 
+  /**
+   * Test: Image update detection against a local registry, such as the
+   * docker-registry app on port 5000. Set REGISTRY to use another one.
+   */
+  async testImageUpdateDetection() {
+    console.log('\n📍 Testing image update detection...');
+
+    const registry = process.env.REGISTRY || 'localhost:5000';
+    try {
+      await fetch(`http://${registry}/v2/`);
+    } catch (error) {
+      console.log(`     No registry at ${registry}, skipping (start the docker-registry app)`);
+      return;
+    }
+
+    const dockerManager = require('../utils/docker');
+    const image = `${registry}/hamnen-update-test:latest`;
+
+    try {
+      // Push some image we have as the first version
+      const base = await this.execute('docker images --format "{{.ID}}" | head -n 1');
+      const baseId = base.stdout.trim();
+      if (!baseId) {
+        console.log('     No local image to push, skipping');
+        return;
+      }
+      await this.execute(`docker tag ${baseId} ${image} && docker push ${image}`);
+      let result = await dockerManager.checkImageUpdate(image);
+      this.assert(result.status === 'up-to-date', `A freshly pushed image is up to date (${result.status})`);
+
+      // Push a second version, then point the local tag back at the first
+      const build = await this.execute(`printf 'FROM ${image}\\nLABEL hamnen.test=${Date.now()}\\n' | docker build -q -t ${image} - && docker push ${image}`);
+      this.assert(build.success, 'Pushed a newer version');
+      await this.execute(`docker tag ${baseId} ${image}`);
+      result = await dockerManager.checkImageUpdate(image);
+      this.assert(result.status === 'update-available', `The older local image has an update (${result.status})`);
+      this.assert(result.localDigest !== result.remoteDigest, 'Local and registry digests differ');
+    } catch (error) {
+      this.assert(false, `Image update detection failed: ${error.message}`);
+    } finally {
+      await this.execute(`docker rmi ${image}`);
+    }
+  }
+
   /**
    * Run all tests
    */
@@ -298,6 +342,7 @@ class DockerTester {
     await this.testRunningContainers();
     await this.testSystemResources();
     await this.testCICDComposeFile();
+    await this.testImageUpdateDetection();
 
     // Print summary
     console.log('\n═══════════════════════════════════════════════════');
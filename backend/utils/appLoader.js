@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
+const configStore = require('./configStore');
+const { HamnenError } = require('./errors');
 
 class AppLoader {
   constructor() {
@@ -14,66 +16,79 @@ class AppLoader {
    * Load all available applications (supports nested category structure)
    */
   async loadApps() {
-    try {
-      const entries = await fs.readdir(this.appsDir, { withFileTypes: true });
-      const apps = [];
-
-      for (const entry of entries) {
-        if (entry.isDirectory() && entry.name !== 'README.md') {
-          // Check if this is a category directory or an app directory
-          const entryPath = path.join(this.appsDir, entry.name);
-          const hasDescription = await this.fileExists(path.join(entryPath, 'description.json'));
-
-          if (hasDescription) {
-            // This is an app directory at the root level (backward compatibility)
-            try {
-              const app = await this.loadApp(entry.name, null);
-              if (app) {
-                apps.push(app);
-              }
-            } catch (error) {
-              console.warn(`Failed to load app ${entry.name}:`, error.message);
-            }
-          } else {
-            // This is a category directory, scan for apps inside
-            try {
-              const categoryApps = await this.loadCategoryApps(entry.name);
-              apps.push(...categoryApps);
-            } catch (error) {
-              console.warn(`Failed to load category ${entry.name}:`, error.message);
-            }
-          }
+    const dirs = await this.listAppDirs();
+    const apps = [];
+
+    for (const { appName, category } of dirs) {
+      try {
+        const app = await this.loadApp(appName, category);
+        if (app) {
+          apps.push(app);
         }
+      } catch (error) {
+        console.warn(`Failed to load app ${category ? `${category}/` : ''}${appName}:`, error.message);
       }
-
-      return apps;
-    } catch (error) {
-      throw new Error(`Failed to load applications: ${error.message}`);
     }
+
+    return apps;
   }
 
   /**
-   * Load all apps from a category directory
+   * Find every application directory, whether or not its files parse.
+   * A directory with a description.json is an app; any other directory
+   * is a category whose subdirectories are apps.
+   * @returns {Promise<Array<{id: string, appName: string, category: string|null, path: string}>>}
    */
-  async loadCategoryApps(categoryName) {
-    const categoryPath = path.join(this.appsDir, categoryName);
-    const entries = await fs.readdir(categoryPath, { withFileTypes: true });
-    const apps = [];
+  async listAppDirs() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.appsDir, { withFileTypes: true });
+    } catch (error) {
+      throw new Error(`Failed to load applications: ${error.message}`);
+    }
+
+    const dirs = [];
 
     for (const entry of entries) {
-      if (entry.isDirectory()) {
-        try {
-          const app = await this.loadApp(entry.name, categoryName);
-          if (app) {
-            apps.push(app);
+      if (!entry.isDirectory()) continue;
+
+      const entryPath = path.join(this.appsDir, entry.name);
+      const hasDescription = await this.fileExists(path.join(entryPath, 'description.json'));
+
+      if (hasDescription) {
+        // This is an app directory at the root level (backward compatibility)
+        dirs.push({ id: entry.name, appName: entry.name, category: null, path: entryPath });
+        continue;
+      }
+
+      // This is a category directory, scan for apps inside
+      try {
+        const categoryEntries = await fs.readdir(entryPath, { withFileTypes: true });
+        for (const appEntry of categoryEntries) {
+          if (appEntry.isDirectory()) {
+            dirs.push({
+              id: `${entry.name}/${appEntry.name}`,
+              appName: appEntry.name,
+              category: entry.name,
+              path: path.join(entryPath, appEntry.name)
+            });
           }
-        } catch (error) {
-          console.warn(`Failed to load app ${categoryName}/${entry.name}:`, error.message);
         }
+      } catch (error) {
+        console.warn(`Failed to load category ${entry.name}:`, error.message);
       }
     }
 
-    return apps;
+    return dirs;
+  }
+
+  /**
+   * A key that changes whenever an app directory is added, removed or
+   * renamed. Much cheaper to compare than loading the catalog.
+   */
+  async getCatalogKey() {
+    const dirs = await this.listAppDirs();
+    return dirs.map(dir => dir.id).sort().join('\n');
   }
 
   /**
@@ -125,54 +140,279 @@ class AppLoader {
       return null; // Skip if required files are missing
     }
 
-    // Load description
+    // Load description; `hamnen lint` gives the full picture when this fails
     const descriptionContent = await fs.readFile(descriptionPath, 'utf8');
-    const description = JSON.parse(descriptionContent);
+    let description;
+    try {
+      description = JSON.parse(descriptionContent);
+    } catch (error) {
+      throw new Error(`description.json does not parse: ${error.message}`);
+    }
 
     // Load docker-compose to extract additional info
     const composeContent = await fs.readFile(composePath, 'utf8');
-    const composeConfig = yaml.load(composeContent);
+    let composeConfig;
+    try {
+      composeConfig = yaml.load(composeContent);
+    } catch (error) {
+      throw new Error(`docker-compose.yml does not parse: ${error.message}`);
+    }
 
     // Use category/appname as ID for nested structure, just appname for root level
     const appId = category ? `${category}/${appName}` : appName;
 
+    // The settings change what compose will publish
+    const env = {
+      ...process.env,
+      ...(await configStore.getLaunchEnv({ id: appId, ...description })),
+      ...(await configStore.getEnv(appId))
+    };
+    let override = null;
+    try {
+      override = await configStore.getOverrideConfig(appId);
+    } catch (error) {
+      console.warn(`Ignoring compose override of ${appId}:`, error.message);
+    }
+
     return {
       id: appId,
       name: description.name || appName,
       category: category || 'uncategorized',
       ...description,
-      composeInfo: this.extractComposeInfo(composeConfig)
+      composeInfo: this.extractComposeInfo(this.mergeOverride(composeConfig, override), env)
     };
   }
 
+  /**
+   * Apply a compose override the way `docker-compose -f base -f override`
+   * does, as far as the extracted info goes: images and networks are
+   * replaced and ports are added
+   */
+  mergeOverride(composeConfig, override) {
+    if (!override) return composeConfig;
+
+    const services = { ...composeConfig.services };
+    for (const [name, extra] of Object.entries(override.services || {})) {
+      const base = services[name] || {};
+      const ports = [...(base.ports || [])];
+      for (const port of (extra && extra.ports) || []) {
+        if (!ports.some(existing => JSON.stringify(existing) === JSON.stringify(port))) {
+          ports.push(port);
+        }
+      }
+      services[name] = { ...base, ...extra, ports };
+    }
+    const networks = { ...composeConfig.networks, ...override.networks };
+    return { ...composeConfig, services, networks };
+  }
+
   /**
    * Extract useful information from docker-compose config
+   * @param {object} composeConfig - Parsed docker-compose.yml
+   * @param {object} [env] - Variables to interpolate ports with
    */
-  extractComposeInfo(composeConfig) {
+  extractComposeInfo(composeConfig, env = process.env) {
     const services = Object.keys(composeConfig.services || {});
     const ports = [];
+    const images = [];
 
     // Extract ports from all services
     for (const service of services) {
       const serviceConfig = composeConfig.services[service];
-      if (serviceConfig.ports) {
-        serviceConfig.ports.forEach(port => {
-          const portStr = String(port);
-          const match = portStr.match(/(\d+):(\d+)/);
-          if (match) {
-            ports.push({
-              host: match[1],
-              container: match[2]
-            });
-          }
-        });
+
+      // Services that build their own image have nothing to pull
+      if (serviceConfig.image && !serviceConfig.build && !images.includes(serviceConfig.image)) {
+        images.push(serviceConfig.image);
+      }
+
+      for (const port of serviceConfig.ports || []) {
+        for (const mapping of this.parsePortSpec(port, env)) {
+          ports.push({ ...mapping, service });
+        }
       }
     }
 
     return {
       services,
-      ports
+      ports,
+      images,
+      networks: this.getExternalNetworks(composeConfig)
+    };
+  }
+
+  /**
+   * Names of the networks a compose file expects to exist already
+   */
+  getExternalNetworks(composeConfig) {
+    const names = [];
+    for (const [key, network] of Object.entries(composeConfig.networks || {})) {
+      if (!network || !network.external) continue;
+      // Compose v2 uses `name`, older files `external: { name }`
+      const name = (typeof network.external === 'object' && network.external.name) || network.name || key;
+      names.push(name);
+    }
+    return names;
+  }
+
+  /**
+   * The apps that satisfy one requires/recommends entry: an app ID, or
+   * { "anyOf": [...] } when any one of several apps will do
+   * @returns {string[]} App IDs
+   */
+  getAlternatives(entry) {
+    if (typeof entry === 'string') return [entry];
+    return (entry && Array.isArray(entry.anyOf)) ? entry.anyOf : [];
+  }
+
+  /**
+   * The prerequisites of an app in the order to start them: what it
+   * requires, and what those require in turn. Of alternatives, one that
+   * is running or already picked is used, otherwise the first.
+   * @param {string} appId - App to start
+   * @param {object[]} apps - Loaded apps
+   * @param {Function} [isRunning] - appId => boolean
+   * @returns {string[]} App IDs, each after its own prerequisites, without appId
+   */
+  resolveDependencies(appId, apps, isRunning = () => false) {
+    const byId = new Map(apps.map(app => [app.id, app]));
+    const order = [];
+    const chain = [];
+
+    const visit = (id) => {
+      if (order.includes(id)) return;
+      if (chain.includes(id)) {
+        const cycle = [...chain.slice(chain.indexOf(id)), id];
+        throw new HamnenError(`Dependency cycle: ${cycle.join(' -> ')}`, {
+          code: 'DEPENDENCY_CYCLE',
+          details: { cycle }
+        });
+      }
+
+      chain.push(id);
+      for (const entry of byId.get(id).requires || []) {
+        const known = this.getAlternatives(entry).filter(alternative => byId.has(alternative));
+        if (known.length === 0) {
+          throw new HamnenError(`${id} requires ${this.getAlternatives(entry).join(' or ')}, which is not in the catalog`, {
+            code: 'DEPENDENCY_UNKNOWN',
+            details: { appId: id, requires: entry }
+          });
+        }
+        visit(known.find(alternative => order.includes(alternative) || isRunning(alternative)) || known[0]);
+      }
+      chain.pop();
+      order.push(id);
     };
+
+    visit(appId);
+    return order.slice(0, -1);
+  }
+
+  /**
+   * The apps that require an app, directly
+   * @param {string} appId - App ID
+   * @param {object[]} apps - Loaded apps
+   * @returns {Array<{app: object, alternatives: string[]}>} Each dependent
+   *   with every app that would satisfy it in place of appId
+   */
+  getDependents(appId, apps) {
+    const dependents = [];
+    for (const app of apps) {
+      for (const entry of app.requires || []) {
+        const alternatives = this.getAlternatives(entry);
+        if (alternatives.includes(appId)) {
+          dependents.push({ app, alternatives: alternatives.filter(alternative => alternative !== appId) });
+        }
+      }
+    }
+    return dependents;
+  }
+
+  /**
+   * Resolve ${VAR}, ${VAR:-default} and $VAR the way compose does, by
+   * default from the backend's environment
+   */
+  interpolate(value, env = process.env) {
+    return String(value).replace(/\$\{(\w+)(?::?-([^}]*))?\}|\$(\w+)/g, (match, name, fallback, bare) => {
+      const resolved = env[name || bare];
+      if (resolved !== undefined && resolved !== '') return resolved;
+      return fallback !== undefined ? fallback : '';
+    });
+  }
+
+  /**
+   * Parse one entry of a service's `ports`, in short ("127.0.0.1:8080:80/udp",
+   * "8000-8002:8000-8002") or long ({ target, published, host_ip, protocol })
+   * syntax. Ports without a fixed host port are left out: Docker picks a
+   * free one for them.
+   * @returns {Array<{host: string, container: string, protocol: string, hostIp: string|null}>}
+   */
+  parsePortSpec(spec, env = process.env) {
+    let hostIp = null;
+    let published;
+    let target;
+    let protocol = 'tcp';
+
+    if (spec && typeof spec === 'object') {
+      published = spec.published !== undefined ? this.interpolate(spec.published, env) : '';
+      target = this.interpolate(spec.target, env);
+      protocol = spec.protocol || 'tcp';
+      hostIp = spec.host_ip || null;
+    } else {
+      let rest = this.interpolate(spec, env);
+
+      const protocolIndex = rest.lastIndexOf('/');
+      if (protocolIndex !== -1) {
+        protocol = rest.slice(protocolIndex + 1);
+        rest = rest.slice(0, protocolIndex);
+      }
+
+      // An IPv6 host address is written in brackets, e.g. "[::1]:8080:80"
+      const ipv6 = rest.match(/^\[([^\]]+)\]:(.*)$/);
+      if (ipv6) {
+        hostIp = ipv6[1];
+        rest = ipv6[2];
+      }
+
+      const parts = rest.split(':');
+      target = parts.pop();
+      published = parts.pop() || '';
+      if (parts.length > 0) hostIp = parts.join(':');
+    }
+
+    if (!published) return [];
+
+    const hostRange = this.parsePortRange(published);
+    const containerRange = this.parsePortRange(target);
+    if (!hostRange || !containerRange) return [];
+
+    const mappings = [];
+    for (let i = 0; i <= hostRange.end - hostRange.start; i++) {
+      // A host range onto a single container port publishes that one port
+      const containerPort = containerRange.start === containerRange.end
+        ? containerRange.start
+        : containerRange.start + i;
+      mappings.push({
+        host: String(hostRange.start + i),
+        container: String(containerPort),
+        protocol,
+        hostIp
+      });
+    }
+    return mappings;
+  }
+
+  /**
+   * "8080" or "8000-8010" -> { start, end }, null if not a valid port (range)
+   */
+  parsePortRange(value) {
+    const match = String(value).trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end > 65535 || end < start) return null;
+
+    return { start, end };
   }
 }
 
@@ -0,0 +1,707 @@
+const appLoader = require('./appLoader');
+const backupManager = require('./backupManager');
+const dockerManager = require('./docker');
+const healthProber = require('./healthProber');
+const jobManager = require('./jobManager');
+const portRegistry = require('./portRegistry');
+const proxyManager = require('./proxyManager');
+const secretStore = require('./secretStore');
+const settingsStore = require('./settingsStore');
+const stackStore = require('./stackStore');
+const updateChecker = require('./updateChecker');
+const { HamnenError, ValidationError } = require('./errors');
+
+const SERVICE_ACTIONS = {
+  start: { phase: 'starting', message: 'Starting service', run: (appId, service) => dockerManager.startService(appId, service) },
+  stop: { phase: 'stopping', message: 'Stopping service', run: (appId, service) => dockerManager.stopService(appId, service) },
+  restart: { phase: 'restarting', message: 'Restarting service', run: (appId, service) => dockerManager.restartService(appId, service) }
+};
+
+// Jobs a stop may cut short while they wait for the health check
+const INTERRUPTIBLE_JOBS = new Set(['start', 'restart']);
+
+/**
+ * Runs app lifecycle operations as background jobs. Everything that starts,
+ * stops or otherwise changes an app should go through here so that
+ * operations on the same app never overlap.
+ */
+class AppOperations {
+  /**
+   * Load an app or fail with a 404
+   */
+  async findApp(appId) {
+    const app = await appLoader.findAppById(appId);
+    if (!app) {
+      throw new HamnenError('Application not found', { statusCode: 404, code: 'APP_NOT_FOUND' });
+    }
+    return app;
+  }
+
+  /**
+   * A function giving the URL each app's UI is served on: through the
+   * reverse proxy when one is set up, otherwise the app's urlTemplate or
+   * its published port on the base host. Settings are read once, so it
+   * suits a whole list of apps.
+   * @param {object} [options]
+   * @param {string} [options.requestHost] - Host the UI was opened on, used
+   *   when no base host is set
+   * @returns {Promise<Function>} app => string|null
+   */
+  async getUrlResolver({ requestHost } = {}) {
+    const viaProxy = await proxyManager.getUrlResolver();
+    const { baseHost } = await settingsStore.get();
+    const host = baseHost || requestHost || 'localhost';
+
+    return (app) => {
+      if (!app.port && !app.urlTemplate) return null;
+      return viaProxy(app) || this.renderUrl(app, host);
+    };
+  }
+
+  /**
+   * Fill in an app's urlTemplate, by default "http://{host}:{port}{path}"
+   */
+  renderUrl(app, host) {
+    const values = { host, port: app.port, path: app.path || '/' };
+    return (app.urlTemplate || 'http://{host}:{port}{path}')
+      .replace(/\{(host|port|path)\}/g, (match, name) => values[name]);
+  }
+
+  /**
+   * URL the app's UI is served on
+   * @param {object} app - Loaded app
+   * @param {object} [options] - See getUrlResolver
+   */
+  async getAppUrl(app, options) {
+    return (await this.getUrlResolver(options))(app);
+  }
+
+  /**
+   * Pull images, bring the app up and wait until it is healthy.
+   * Refuses with 409 PORT_CONFLICT if one of its host ports is taken, and
+   * with 409 DEPENDENCIES_NOT_RUNNING if apps it requires are not running.
+   * @param {string} appId - App ID
+   * @param {object} [options]
+   * @param {boolean} [options.withDependencies] - Start the missing
+   *   prerequisites first, each after the apps it requires in turn
+   * @param {boolean} [options.ignoreDependencies] - Start the app on its own
+   * @param {object} [options.env] - Variables that take precedence over the
+   *   app's settings for this launch, e.g. from a stack
+   * @param {string} [options.requestHost] - Host for the app's URL in the
+   *   job result, see getUrlResolver
+   * @param {string} [options.user] - Who asked for it, recorded on the job
+   *   and in the app's history; the other operations take it too
+   * @param {string} [options.scheduleId] - The schedule that asked for it;
+   *   the other operations take it too
+   */
+  async start(appId, { withDependencies = false, ignoreDependencies = false, env, requestHost, ...requester } = {}) {
+    const app = await this.findApp(appId);
+    const missing = ignoreDependencies ? [] : await this.findMissingDependencies(app);
+
+    if (missing.length > 0 && !withDependencies) {
+      throw new HamnenError(`${app.name} needs ${missing.map(dependency => dependency.name).join(', ')} running first`, {
+        statusCode: 409,
+        code: 'DEPENDENCIES_NOT_RUNNING',
+        details: { missing: missing.map(dependency => ({ appId: dependency.id, name: dependency.name })) }
+      });
+    }
+
+    // Fail the request itself rather than the job, so the UI can say why
+    for (const dependency of missing) {
+      await portRegistry.assertPortsFree(dependency);
+    }
+    await portRegistry.assertPortsFree(app);
+
+    return jobManager.create('start', app.id, async (context) => {
+      await this.startDependencies(missing, context, requester);
+      await this.pullImages(app, context);
+
+      context.setPhase('starting', 'Creating containers');
+      await secretStore.ensureAppSecrets(app);
+      await dockerManager.startApp(app.id, { env });
+
+      const result = await this.waitForHealth(app, context, { requestHost });
+      if (proxyManager.isProxyApp(app.id)) {
+        await this.syncProxy();
+      }
+      return result;
+    }, {
+      ...this.requester(requester),
+      ...(missing.length > 0 && { dependencies: missing.map(dependency => dependency.id) })
+    });
+  }
+
+  /**
+   * Take the app down. Refuses with 409 HAS_DEPENDENTS while running apps
+   * require it, unless forced.
+   * @param {string} appId - App ID
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Stop it even if running apps require it
+   * @param {string} [options.user] - See start
+   */
+  async stop(appId, { force = false, ...requester } = {}) {
+    const app = await this.findApp(appId);
+
+    if (!force) {
+      const dependents = await this.findRunningDependents(app);
+      if (dependents.length > 0) {
+        const names = dependents.map(dependent => dependent.name).join(', ');
+        throw new HamnenError(`${names} ${dependents.length === 1 ? 'depends' : 'depend'} on ${app.name}`, {
+          statusCode: 409,
+          code: 'HAS_DEPENDENTS',
+          details: { dependents: dependents.map(dependent => ({ appId: dependent.id, name: dependent.name })) }
+        });
+      }
+    }
+
+    return jobManager.create('stop', app.id, async (context) => {
+      context.setPhase('stopping', 'Removing containers');
+      await dockerManager.stopApp(app.id);
+      healthProber.clear(app.id);
+
+      return { status: 'stopped' };
+    }, this.requester(requester), { queue: this.interruptHealthWait(app.id) });
+  }
+
+  /**
+   * An app that fails to come up has to be stoppable while its start or
+   * restart job still polls the health check. Cancel that probe, which
+   * fails the job, so a stop can queue behind it.
+   * @returns {boolean} Whether a probe was cancelled
+   */
+  interruptHealthWait(appId) {
+    const active = jobManager.findActiveJob(appId);
+    if (!active || !INTERRUPTIBLE_JOBS.has(active.type) || active.phase !== 'waiting-health') {
+      return false;
+    }
+
+    healthProber.cancel(appId);
+    return true;
+  }
+
+  /**
+   * Start a stack's apps one after the other in its order, each with the
+   * prerequisites it needs. Apps that already run are left alone; the
+   * first app that fails to start ends the job.
+   * @param {string} stackId - Stack ID
+   */
+  async startStack(stackId, requester = {}) {
+    const stack = await stackStore.get(stackId);
+    const apps = await this.findStackApps(stack);
+
+    return jobManager.create('start-stack', `stacks/${stack.id}`, async (context) => {
+      const results = [];
+
+      for (const [index, app] of apps.entries()) {
+        context.setPhase('starting', `Starting ${app.name} (${index + 1}/${apps.length})`);
+
+        const statuses = await this.getAppStatuses([app]);
+        if (statuses.get(app.id) === 'running') {
+          results.push({ appId: app.id, outcome: 'already-running' });
+          continue;
+        }
+
+        const error = await this.runAndWait(() => this.start(app.id, {
+          withDependencies: true,
+          env: stack.apps[index].env,
+          ...requester
+        }));
+        if (error) {
+          throw new HamnenError(`${app.name} did not start: ${error}`, { statusCode: 502, code: 'STACK_FAILED' });
+        }
+        results.push({ appId: app.id, outcome: 'started' });
+      }
+
+      return { stackId: stack.id, apps: results };
+    }, { stackId: stack.id, ...this.requester(requester) });
+  }
+
+  /**
+   * Stop a stack's apps in reverse order. An app that fails to stop, e.g.
+   * because an app outside the stack requires it, does not hold up the rest.
+   * @param {string} stackId - Stack ID
+   */
+  async stopStack(stackId, requester = {}) {
+    const stack = await stackStore.get(stackId);
+    const apps = (await this.findStackApps(stack)).reverse();
+
+    return jobManager.create('stop-stack', `stacks/${stack.id}`, async (context) => {
+      const results = [];
+      const failures = [];
+
+      for (const [index, app] of apps.entries()) {
+        context.setPhase('stopping', `Stopping ${app.name} (${index + 1}/${apps.length})`);
+
+        const statuses = await this.getAppStatuses([app]);
+        if (statuses.get(app.id) === 'stopped') {
+          results.push({ appId: app.id, outcome: 'already-stopped' });
+          continue;
+        }
+
+        const error = await this.runAndWait(() => this.stop(app.id, requester));
+        results.push({ appId: app.id, outcome: error ? 'failed' : 'stopped', error });
+        if (error) failures.push(`${app.name}: ${error}`);
+      }
+
+      if (failures.length > 0) {
+        throw new HamnenError(`Some apps did not stop: ${failures.join('; ')}`, { statusCode: 502, code: 'STACK_FAILED' });
+      }
+      return { stackId: stack.id, apps: results };
+    }, { stackId: stack.id, ...this.requester(requester) });
+  }
+
+  /**
+   * Stacks with the status of their apps, and the status of each stack as
+   * a whole: "running" when all its apps run, "stopped" when none does,
+   * otherwise "partial" ("unknown" while Docker is unreachable)
+   * @param {object[]} stacks - Stacks from stackStore
+   */
+  async describeStacks(stacks) {
+    const apps = await appLoader.loadApps();
+    let statuses = new Map();
+    try {
+      statuses = await this.getAppStatuses(apps);
+    } catch (error) {
+      // Docker is unreachable, report every app as unknown below
+    }
+
+    return stacks.map(stack => {
+      const members = stack.apps.map(entry => {
+        const app = apps.find(candidate => candidate.id === entry.appId);
+        return {
+          ...entry,
+          name: app ? app.name : entry.appId,
+          icon: app ? app.icon : null,
+          status: statuses.get(entry.appId) || 'unknown'
+        };
+      });
+
+      let status = 'partial';
+      if (members.every(member => member.status === 'running')) status = 'running';
+      if (members.every(member => member.status === 'stopped')) status = 'stopped';
+      if (members.some(member => member.status === 'unknown')) status = 'unknown';
+
+      return { ...stack, apps: members, status };
+    });
+  }
+
+  /**
+   * The loaded apps of a stack in its order, or a 404 for one that is no
+   * longer in the catalog
+   */
+  async findStackApps(stack) {
+    const apps = [];
+    for (const entry of stack.apps) {
+      apps.push(await this.findApp(entry.appId));
+    }
+    return apps;
+  }
+
+  /**
+   * Start an operation and wait for its job
+   * @returns {Promise<string|null>} Why it failed, null if it completed
+   */
+  async runAndWait(operation) {
+    try {
+      const job = await jobManager.waitFor(await operation());
+      return job.phase === 'failed' ? job.error : null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Job fields naming who asked for an operation: the user, null for
+   * Hamnen itself, and the schedule if one did
+   */
+  requester({ user = null, scheduleId } = {}) {
+    return scheduleId ? { user, scheduleId } : { user };
+  }
+
+  /**
+   * Restart the app's containers and wait until it is healthy again
+   * @param {string} appId - App ID
+   * @param {object} [options]
+   * @param {string} [options.requestHost] - See start
+   * @param {string} [options.user] - See start
+   */
+  async restart(appId, { requestHost, ...requester } = {}) {
+    const app = await this.findApp(appId);
+
+    return jobManager.create('restart', app.id, async (context) => {
+      context.setPhase('restarting', 'Restarting containers');
+      await dockerManager.restartApp(app.id);
+
+      return await this.waitForHealth(app, context, { requestHost });
+    }, this.requester(requester));
+  }
+
+  /**
+   * Pull the app's images without starting it
+   */
+  async pull(appId, requester = {}) {
+    const app = await this.findApp(appId);
+
+    return jobManager.create('pull', app.id, async (context) => {
+      const failures = await this.pullImages(app, context);
+      if (failures.length > 0) {
+        throw new HamnenError(failures.join('; '), { statusCode: 502, code: 'PULL_FAILED' });
+      }
+      return { images: app.composeInfo.images };
+    }, this.requester(requester));
+  }
+
+  /**
+   * Pull the app's images and, if it runs, recreate the containers whose
+   * image changed and wait until it is healthy again. When the health
+   * check fails the old images get their tags back and the containers are
+   * recreated from them, and the job fails with UPDATE_ROLLED_BACK.
+   */
+  async update(appId, requester = {}) {
+    const app = await this.findApp(appId);
+
+    return jobManager.create('update', app.id, async (context) => {
+      const previous = await dockerManager.getAppImages(app.id);
+
+      const failures = await this.pullImages(app, context);
+      if (failures.length > 0) {
+        throw new HamnenError(failures.join('; '), { statusCode: 502, code: 'PULL_FAILED' });
+      }
+
+      // { image, previous, current } for each image that moved on
+      const changed = [];
+      for (const [image, previousId] of previous) {
+        const current = await dockerManager.inspectImage(image);
+        if (current && current.Id !== previousId) {
+          changed.push({ image, previous: previousId, current: current.Id });
+        }
+      }
+
+      if (changed.length === 0) {
+        await this.recheckUpdates(app);
+        return { recreated: false, changed };
+      }
+
+      context.setPhase('starting', 'Recreating containers');
+      await secretStore.ensureAppSecrets(app);
+      await dockerManager.startApp(app.id);
+
+      let result;
+      try {
+        result = await this.waitForHealth(app, context);
+      } catch (error) {
+        await this.rollBack(app, changed, context, error);
+      }
+
+      await this.recheckUpdates(app);
+      return { ...result, recreated: true, changed };
+    }, this.requester(requester));
+  }
+
+  /**
+   * Recreate an app from the images it ran before an update, then fail
+   * the update job
+   * @param {object[]} changed - From update
+   * @param {Error} reason - Why the update is rolled back
+   */
+  async rollBack(app, changed, context, reason) {
+    context.setPhase('rolling-back', 'Rolling back to the previous images');
+    try {
+      for (const { image, previous } of changed) {
+        await dockerManager.tagImage(previous, image);
+      }
+      await dockerManager.startApp(app.id);
+      await this.waitForHealth(app, context);
+    } catch (error) {
+      throw new HamnenError(`${reason.message}; rolling back failed too: ${error.message}`, {
+        statusCode: 502,
+        code: 'ROLLBACK_FAILED',
+        details: { changed }
+      });
+    }
+
+    await this.recheckUpdates(app);
+    throw new HamnenError(`${reason.message}; rolled back to the previous images`, {
+      statusCode: 502,
+      code: 'UPDATE_ROLLED_BACK',
+      details: { changed }
+    });
+  }
+
+  /**
+   * Refresh the app's update badge after its images changed
+   */
+  async recheckUpdates(app) {
+    try {
+      await updateChecker.check(app);
+    } catch (error) {
+      console.warn(`Failed to check ${app.id} for image updates:`, error.message);
+    }
+  }
+
+  /**
+   * Start, stop or restart one compose service of an app, e.g. the
+   * gitlab-runner of cicd-complete, without touching the rest of the stack
+   * @param {string} appId - App ID
+   * @param {string} service - Compose service name
+   * @param {string} action - "start", "stop" or "restart"
+   * @param {object} [requester] - { user, scheduleId }, see start
+   */
+  async serviceAction(appId, service, action, requester = {}) {
+    const app = await this.findApp(appId);
+
+    // Own keys only, "constructor" is no action
+    if (!Object.prototype.hasOwnProperty.call(SERVICE_ACTIONS, action)) {
+      throw new ValidationError(`Unknown service action "${action}"`);
+    }
+    const operation = SERVICE_ACTIONS[action];
+
+    if (!app.composeInfo.services.includes(service)) {
+      throw new ValidationError(`Service "${service}" is not part of ${app.id}`);
+    }
+
+    return jobManager.create(`${action}-service`, app.id, async (context) => {
+      context.setPhase(operation.phase, `${operation.message} ${service}`);
+      // Starting a single service before the whole app ever ran still needs its secrets
+      await secretStore.ensureAppSecrets(app);
+      await operation.run(app.id, service);
+
+      const status = await dockerManager.getAppStatus(app.id, { detailed: true });
+      return {
+        service,
+        containers: status.containers.filter(container => container.service === service)
+      };
+    }, { service, ...this.requester(requester) }, { queue: action === 'stop' && this.interruptHealthWait(app.id) });
+  }
+
+  /**
+   * Archive the app's bind mounts and named volumes. A running app is
+   * stopped, or paused, while its data is read and brought back afterwards.
+   * Backups the retention settings no longer keep are deleted after it.
+   * @param {string} appId - App ID
+   * @param {object} [options]
+   * @param {string} [options.mode] - "stop" (default) or "pause", which
+   *   keeps connections open but may catch writes half done
+   * @param {string} [options.user] - See start
+   */
+  async backup(appId, { mode = 'stop', ...requester } = {}) {
+    const app = await this.findApp(appId);
+
+    if (!['stop', 'pause'].includes(mode)) {
+      throw new ValidationError('mode must be "stop" or "pause"');
+    }
+
+    const mounts = await backupManager.getMounts(app.id);
+    if (mounts.length === 0) {
+      throw new HamnenError(`${app.name} has no data to back up: it has no containers yet or keeps nothing in volumes`, {
+        statusCode: 409,
+        code: 'NOTHING_TO_BACK_UP'
+      });
+    }
+
+    return jobManager.create('backup', app.id, async (context) => {
+      const services = await this.getRunningServices(app.id);
+      const running = services.length > 0;
+
+      if (running && mode === 'pause') {
+        context.setPhase('pausing', 'Pausing containers');
+        await dockerManager.setAppPaused(app.id, true);
+      } else if (running) {
+        context.setPhase('stopping', 'Stopping containers');
+        await dockerManager.stopContainers(app.id);
+      }
+
+      let backup;
+      try {
+        context.setPhase('archiving', `Archiving ${mounts.length} ${mounts.length === 1 ? 'mount' : 'mounts'}`);
+        backup = await backupManager.create(app, mounts, { mode });
+      } finally {
+        // Bring the app back even when archiving failed
+        if (running && mode === 'pause') {
+          await dockerManager.setAppPaused(app.id, false);
+        } else if (running) {
+          context.setPhase('starting', 'Starting containers');
+          await dockerManager.startContainers(app.id, services);
+        }
+      }
+
+      context.setPhase('pruning', 'Deleting expired backups');
+      const pruned = await backupManager.prune(app.id);
+      return { backup, pruned: pruned.map(expired => expired.id) };
+    }, { mode, ...this.requester(requester) });
+  }
+
+  /**
+   * Replace the app's data with a backup, stopping it meanwhile if it runs
+   */
+  async restore(appId, backupId, requester = {}) {
+    const app = await this.findApp(appId);
+    const backup = await backupManager.get(app.id, backupId);
+
+    return jobManager.create('restore', app.id, async (context) => {
+      const services = await this.getRunningServices(app.id);
+
+      if (services.length > 0) {
+        context.setPhase('stopping', 'Stopping containers');
+        await dockerManager.stopContainers(app.id);
+      }
+
+      context.setPhase('restoring', `Restoring backup ${backup.id}`);
+      await backupManager.restore(backup);
+
+      if (services.length > 0) {
+        context.setPhase('starting', 'Starting containers');
+        await dockerManager.startContainers(app.id, services);
+      }
+      return { backup: backup.id };
+    }, { backupId: backup.id, ...this.requester(requester) });
+  }
+
+  /**
+   * Compose services of the app with a running container, so an operation
+   * that stops the app can start just those again, not its one-shot jobs
+   */
+  async getRunningServices(appId) {
+    const { containers } = await dockerManager.getAppStatus(appId);
+    return [...new Set(containers.filter(container => container.state === 'running').map(container => container.service))];
+  }
+
+  /**
+   * Status of each of the apps
+   * @param {object[]} apps - Loaded apps
+   * @returns {Promise<Map<string, string>>} App ID -> "running", "partial" or "stopped"
+   */
+  async getAppStatuses(apps) {
+    const projectStatuses = await dockerManager.getAllProjectStatuses();
+    return new Map(apps.map(app => {
+      const projectStatus = projectStatuses.get(dockerManager.getProjectName(app.id));
+      return [app.id, projectStatus ? projectStatus.status : 'stopped'];
+    }));
+  }
+
+  /**
+   * The app's prerequisites that are not running, in the order to start them
+   * @returns {Promise<object[]>} Loaded apps
+   */
+  async findMissingDependencies(app) {
+    if (!Array.isArray(app.requires) || app.requires.length === 0) return [];
+
+    const apps = await appLoader.loadApps();
+    const statuses = await this.getAppStatuses(apps);
+    const isRunning = appId => statuses.get(appId) === 'running';
+
+    return appLoader.resolveDependencies(app.id, apps, isRunning)
+      .filter(appId => !isRunning(appId))
+      .map(appId => apps.find(candidate => candidate.id === appId));
+  }
+
+  /**
+   * Running apps that would lose a prerequisite if the app stopped: those
+   * that require it and have no running alternative to it
+   * @returns {Promise<object[]>} Loaded apps
+   */
+  async findRunningDependents(app) {
+    const apps = await appLoader.loadApps();
+    const dependents = appLoader.getDependents(app.id, apps);
+    if (dependents.length === 0) return [];
+
+    const statuses = await this.getAppStatuses(apps);
+    const isUp = appId => ['running', 'partial'].includes(statuses.get(appId));
+
+    const affected = dependents
+      .filter(({ app: dependent, alternatives }) => isUp(dependent.id) && !alternatives.some(isUp))
+      .map(({ app: dependent }) => dependent);
+    return [...new Set(affected)];
+  }
+
+  /**
+   * Start prerequisites one after the other, each as its own job, and
+   * fail the dependent's job if one of them does not come up
+   */
+  async startDependencies(dependencies, context, requester) {
+    for (const dependency of dependencies) {
+      context.setPhase('dependencies', `Starting ${dependency.name}`);
+      const job = await jobManager.waitFor(await this.start(dependency.id, { ignoreDependencies: true, ...requester }));
+
+      if (job.phase === 'failed') {
+        throw new HamnenError(`${dependency.name} did not start: ${job.error}`, {
+          statusCode: 502,
+          code: 'DEPENDENCY_FAILED'
+        });
+      }
+    }
+  }
+
+  /**
+   * Caddy comes up with the Caddyfile on disk, so send it the app routes
+   * again. A failure leaves Caddy running and is only logged; the routes
+   * can be sent again from the API.
+   */
+  async syncProxy() {
+    try {
+      await proxyManager.syncCaddy();
+    } catch (error) {
+      console.warn('Failed to send routes to Caddy:', error.message);
+    }
+  }
+
+  /**
+   * Pull every image the app uses, reporting progress per image.
+   * A failed pull is not fatal: the image may already exist locally,
+   * and compose reports the real problem if it does not.
+   * @returns {Promise<string[]>} Error messages for images that failed to pull
+   */
+  async pullImages(app, context) {
+    const images = app.composeInfo.images || [];
+    const failures = [];
+    if (images.length === 0) return failures;
+
+    context.setPhase('pulling', `Pulling ${images.length} image(s)`);
+
+    for (const image of images) {
+      context.setImageProgress(image, { status: 'Waiting', percent: 0 });
+    }
+
+    // Pull sequentially so one slow registry does not starve the others
+    for (const image of images) {
+      try {
+        await dockerManager.pullImage(image, progress => {
+          context.setImageProgress(image, progress);
+        });
+      } catch (error) {
+        failures.push(error.message);
+        context.setImageProgress(image, { status: 'Failed', percent: 0, error: error.message });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Probe the app's health check and fail the job if it never passes
+   * @param {object} [urlOptions] - See getUrlResolver
+   */
+  async waitForHealth(app, context, urlOptions) {
+    context.setPhase('waiting-health', 'Waiting for the application to become healthy');
+    const health = await healthProber.probe(app);
+
+    // A null health means the probe was cancelled because the app is being stopped
+    if (!health) {
+      healthProber.clear(app.id);
+      throw new HamnenError('Stopped before the application became healthy', {
+        statusCode: 409,
+        code: 'CANCELLED'
+      });
+    }
+    if (health.state !== 'healthy') {
+      throw new HamnenError(
+        `Application did not become healthy: ${health.error || health.state}`,
+        { statusCode: 502, code: 'UNHEALTHY' }
+      );
+    }
+
+    return { health, url: await this.getAppUrl(app, urlOptions) };
+  }
+}
+
+module.exports = new AppOperations();
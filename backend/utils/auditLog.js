@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { HamnenError } = require('./errors');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Body fields whose values never reach the log, e.g. password, newPassword,
+// DB_PASSWORD, API_KEY, and the value of a secret
+const SENSITIVE_KEY = /pass|secret|token|key$|^value$/i;
+// A compose override can carry credentials anywhere, and so can any
+// environment variable whatever its name: only the variable names are kept
+const OPAQUE_KEY = 'override';
+const ENV_KEY = 'env';
+// Longer strings are cut to this length
+const MAX_STRING = 500;
+
+const REDACTED = '[redacted]';
+const isSet = item => item !== null && item !== undefined && item !== '';
+
+const CSV_COLUMNS = [
+  'seq', 'at', 'requestId', 'user', 'role', 'via', 'ip', 'method', 'path',
+  'query', 'params', 'statusCode', 'outcome', 'aborted', 'error', 'jobId', 'hash'
+];
+
+/**
+ * Append-only record of every API call that changes something, for
+ * accountability. Entries go to data/audit.jsonl, one per line:
+ *
+ *   { seq, at, requestId, actor, ip, method, path, query, params,
+ *     statusCode, outcome, aborted, error, jobId, prevHash, hash }
+ *
+ * actor is { id, username, role, via } or null when the caller was not
+ * authenticated. outcome is "succeeded", "denied" (401 and 403) or
+ * "failed"; operations that run as jobs succeed when their job was
+ * accepted, and jobId leads to how the job went. aborted is true when the
+ * client disconnected before the response was sent; the call may still
+ * have taken effect. Each entry's hash is the SHA-256 of the previous
+ * entry's hash and the entry itself, so changing or removing an entry
+ * breaks every hash after it; verify finds where.
+ * Entries are never rewritten or pruned.
+ */
+class AuditLog {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.filePath = path.join(this.dataDir, 'audit.jsonl');
+    this.lastSeq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.loaded = null;
+    // Serializes appends so each entry chains onto the one before it
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Pick up the chain where the file ends. A last line cut short by a crash
+   * mid-write is dropped and the chain continues from the entry before it.
+   * Any other line that does not parse, or a file that cannot be read,
+   * rejects: appending after it would start a second chain, so appends
+   * refuse until the file is fixed. A failed load is retried on the next
+   * append.
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.resume().catch(error => {
+        this.loaded = null;
+        throw new HamnenError(`Audit log cannot be read, refusing to append: ${error.message}`, {
+          code: 'AUDIT_LOG_UNREADABLE'
+        });
+      });
+    }
+    return this.loaded;
+  }
+
+  async resume() {
+    let stream;
+    try {
+      await fs.promises.access(this.filePath);
+      stream = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    let last = null;
+    let lineNumber = 0;
+    let invalidLine = null;
+    // Bytes read so far, and where the last valid entry's line ends
+    let offset = 0;
+    let validEnd = 0;
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      lineNumber++;
+      offset += Buffer.byteLength(line) + 1;
+      if (!line.trim()) continue;
+      if (invalidLine) {
+        throw new Error(`line ${invalidLine} is not a valid entry`);
+      }
+
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Checked below
+      }
+      if (entry && Number.isInteger(entry.seq) && typeof entry.hash === 'string') {
+        last = entry;
+        validEnd = offset;
+      } else {
+        invalidLine = lineNumber;
+      }
+    }
+
+    const { size } = await fs.promises.stat(this.filePath);
+    if (invalidLine) {
+      console.warn(`Dropping the incomplete last line of the audit log (line ${invalidLine})`);
+      await fs.promises.truncate(this.filePath, validEnd);
+    } else if (validEnd > size) {
+      // The last entry lost its newline; the next one must start on its own line
+      await fs.promises.appendFile(this.filePath, '\n');
+    }
+
+    if (last) {
+      this.lastSeq = last.seq;
+      this.lastHash = last.hash;
+    }
+  }
+
+  /**
+   * Every entry in the file, oldest first. Lines that do not parse are
+   * skipped, or with skipInvalid false yielded as { seq: null, invalid: true }
+   * so verify can flag them.
+   */
+  async * readEntries({ skipInvalid = true } = {}) {
+    let stream;
+    try {
+      await fs.promises.access(this.filePath);
+      stream = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        if (!skipInvalid) yield { seq: null, invalid: true };
+      }
+    }
+  }
+
+  hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256')
+      .update(entry.prevHash)
+      .update(JSON.stringify(content))
+      .digest('hex');
+  }
+
+  /**
+   * Copy of a request body without secrets and overly long values
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactField(key, item)]));
+    }
+    if (typeof value === 'string' && value.length > MAX_STRING) {
+      return `${value.slice(0, MAX_STRING)}… (${value.length} characters)`;
+    }
+    return value;
+  }
+
+  /**
+   * Value of one body field, as it goes into the log
+   */
+  redactField(key, item) {
+    if (key === ENV_KEY && item && typeof item === 'object' && !Array.isArray(item)) {
+      return Object.fromEntries(Object.entries(item).map(([name, value]) => [name, isSet(value) ? REDACTED : value]));
+    }
+    if ((key === OPAQUE_KEY || key === ENV_KEY || SENSITIVE_KEY.test(key)) && isSet(item)) {
+      return REDACTED;
+    }
+    return this.redact(item);
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {object} entry - requestId, actor, ip, method, path, query,
+   *   params, statusCode, outcome, aborted, error and jobId; params and
+   *   query are redacted here
+   * @returns {Promise<object>} The stored entry with its seq and hash
+   */
+  async append({ requestId, actor = null, ip = null, method, path: requestPath, query = {}, params = {}, statusCode, outcome, aborted = false, error = null, jobId = null }) {
+    await this.load();
+
+    const write = async () => {
+      const entry = {
+        seq: this.lastSeq + 1,
+        at: new Date().toISOString(),
+        requestId,
+        actor,
+        ip,
+        method,
+        path: requestPath,
+        query: this.redact(query),
+        params: this.redact(params),
+        statusCode,
+        outcome,
+        aborted,
+        error,
+        jobId,
+        prevHash: this.lastHash
+      };
+      entry.hash = this.hashEntry(entry);
+
+      await fs.promises.mkdir(this.dataDir, { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      this.lastSeq = entry.seq;
+      this.lastHash = entry.hash;
+      return entry;
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return await this.writeQueue;
+  }
+
+  /**
+   * Entries newest first
+   * @param {object} [query]
+   * @param {string} [query.user] - Only calls by this username
+   * @param {string} [query.method] - Only this HTTP method
+   * @param {string} [query.path] - Only paths containing this, e.g. an app ID
+   * @param {string} [query.outcome] - "succeeded", "denied" or "failed"
+   * @param {string} [query.requestId] - The entry of one request
+   * @param {string} [query.since] - ISO time, only entries at or after it
+   * @param {string} [query.until] - ISO time, only entries before it
+   * @param {number} [query.before] - Only entries older than this seq
+   * @param {number} [query.limit] - Page size, every match when left out
+   * @returns {Promise<{entries: object[], nextBefore: number|null}>}
+   *   nextBefore is the value of before for the next page, null on the last
+   */
+  async query({ user, method, path: pathPart, outcome, requestId, since, until, before, limit } = {}) {
+    const matches = entry => (
+      (!user || (entry.actor && entry.actor.username === user)) &&
+      (!method || entry.method === method) &&
+      (!pathPart || entry.path.includes(pathPart)) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!requestId || entry.requestId === requestId) &&
+      (!since || entry.at >= since) &&
+      (!until || entry.at < until) &&
+      (!before || entry.seq < before)
+    );
+
+    const found = [];
+    for await (const entry of this.readEntries()) {
+      if (matches(entry)) found.push(entry);
+    }
+
+    found.reverse();
+    if (!limit || found.length <= limit) {
+      return { entries: found, nextBefore: null };
+    }
+    const entries = found.slice(0, limit);
+    return { entries, nextBefore: entries[entries.length - 1].seq };
+  }
+
+  /**
+   * Recompute the hash chain
+   * @returns {Promise<{valid: boolean, entries: number, brokenAt: number|null, reason: string|null}>}
+   *   brokenAt is the seq of the first entry that does not check out, or
+   *   the position of a line that does not parse
+   */
+  async verify() {
+    let prevHash = GENESIS_HASH;
+    let count = 0;
+
+    for await (const entry of this.readEntries({ skipInvalid: false })) {
+      count++;
+      const fail = reason => ({ valid: false, entries: count, brokenAt: entry.seq === null ? count : entry.seq, reason });
+
+      if (entry.invalid) return fail('Line is not valid JSON');
+      if (entry.seq !== count) return fail(`Expected entry ${count}, found ${entry.seq}`);
+      if (entry.prevHash !== prevHash) return fail('Does not follow the previous entry');
+      if (this.hashEntry(entry) !== entry.hash) return fail('Content does not match its hash');
+
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, entries: count, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Entries as CSV, one row each, with the actor split into columns
+   */
+  toCsv(entries) {
+    const cell = value => {
+      if (value === null || value === undefined) return '';
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      // Keep spreadsheets from evaluating values as formulas
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => {
+      const actor = entry.actor || {};
+      const row = { ...entry, user: actor.username, role: actor.role, via: actor.via };
+      return CSV_COLUMNS.map(column => cell(row[column])).join(',');
+    });
+
+    return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+  }
+}
+
+module.exports = new AuditLog();
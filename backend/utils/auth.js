@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const userStore = require('./userStore');
+const { HamnenError } = require('./errors');
+
+const SESSION_COOKIE = 'hamnen_session';
+// Sessions expire after a day of inactivity
+const SESSION_TTL = parseInt(process.env.SESSION_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+
+// Failed logins per client before further attempts are refused for a while
+const MAX_FAILED_LOGINS = 10;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+
+/**
+ * Authentication for the API. Credentials are checked by a provider,
+ * sessions and API tokens are handled here.
+ *
+ * A provider is an object with:
+ *   - name: identifier used in AUTH_PROVIDER
+ *   - authenticate({ username, password }) => user | null, where user is
+ *     { id, username, role }
+ * The "local" provider (users.json in the data directory) is built in;
+ * others can be added with registerProvider().
+ */
+class AuthManager {
+  constructor() {
+    this.providers = new Map();
+    this.sessions = new Map();
+    this.failedLogins = new Map();
+    this.disabled = process.env.AUTH_DISABLED === 'true';
+
+    this.registerProvider({
+      name: 'local',
+      authenticate: async ({ username, password }) => {
+        const user = await userStore.findUserByName(username);
+        if (!user || !(await userStore.verifyPassword(password, user.passwordHash))) {
+          return null;
+        }
+        return userStore.toPublicUser(user);
+      }
+    });
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider() {
+    const name = process.env.AUTH_PROVIDER || 'local';
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown auth provider "${name}"`);
+    }
+    return provider;
+  }
+
+  /**
+   * Create the first admin account when no users exist yet. The password
+   * comes from HAMNEN_ADMIN_PASSWORD or is generated and printed once.
+   */
+  async bootstrap() {
+    if (this.disabled) {
+      console.warn('⚠️  AUTH_DISABLED=true: the API is open to anyone who can reach it');
+      return;
+    }
+
+    if (await userStore.countUsers() > 0) return;
+
+    const password = process.env.HAMNEN_ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    await userStore.createUser({ username: 'admin', password, role: 'admin' });
+
+    if (process.env.HAMNEN_ADMIN_PASSWORD) {
+      console.log('👤 Created admin user from HAMNEN_ADMIN_PASSWORD');
+    } else {
+      console.log(`👤 Created admin user "admin" with password: ${password}`);
+      console.log('   Change it after logging in.');
+    }
+  }
+
+  /**
+   * Key for rate limiting failed logins
+   */
+  loginKey(ip, username) {
+    return `${ip}|${username}`;
+  }
+
+  isLockedOut(ip, username) {
+    const entry = this.failedLogins.get(this.loginKey(ip, username));
+    return Boolean(entry && entry.count >= MAX_FAILED_LOGINS && Date.now() - entry.since < LOGIN_LOCKOUT);
+  }
+
+  recordFailedLogin(ip, username) {
+    const key = this.loginKey(ip, username);
+    const entry = this.failedLogins.get(key);
+    if (!entry || Date.now() - entry.since >= LOGIN_LOCKOUT) {
+      this.failedLogins.set(key, { count: 1, since: Date.now() });
+    } else {
+      entry.count++;
+    }
+  }
+
+  /**
+   * Check credentials with the configured provider
+   * @returns {Promise<object|null>} The user, or null if the credentials are wrong
+   */
+  async login(username, password, ip) {
+    if (this.isLockedOut(ip, username)) {
+      throw new HamnenError('Too many failed login attempts, try again later', {
+        statusCode: 429,
+        code: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    const user = await this.getProvider().authenticate({ username, password });
+    if (!user) {
+      this.recordFailedLogin(ip, username);
+      return null;
+    }
+
+    this.failedLogins.delete(this.loginKey(ip, username));
+    return user;
+  }
+
+  /**
+   * Start a session for a user
+   * @returns {string} Session ID to store in the cookie
+   */
+  createSession(user) {
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(sessionId, {
+      user: { id: user.id, username: user.username, role: user.role },
+      expiresAt: Date.now() + SESSION_TTL
+    });
+    return sessionId;
+  }
+
+  destroySession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * End every session of a user, e.g. after their role or password changed
+   */
+  destroyUserSessions(userId) {
+    for (const [sessionId, session] of this.sessions) {
+      if (session.user.id === userId) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Refresh the cached user on a user's sessions after a role change
+   */
+  updateUserSessions(user) {
+    for (const session of this.sessions.values()) {
+      if (session.user.id === user.id) {
+        session.user.role = user.role;
+      }
+    }
+  }
+
+  /**
+   * Resolve the caller of a request from a session cookie or bearer token
+   * @returns {Promise<object|null>} { user, via, sessionId?, tokenId? }
+   */
+  async authenticateRequest(req) {
+    if (this.disabled) {
+      return { user: { id: 'anonymous', username: 'anonymous', role: 'admin' }, via: 'disabled' };
+    }
+
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      const found = await userStore.findToken(header.slice(7).trim());
+      if (!found) return null;
+
+      const { record, user } = found;
+      // A token never grants more than its owner currently has
+      const role = userStore.hasRole(user.role, record.role) ? record.role : user.role;
+      return {
+        user: { id: user.id, username: user.username, role },
+        via: 'token',
+        tokenId: record.id
+      };
+    }
+
+    const sessionId = this.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session) return null;
+
+      if (session.expiresAt < Date.now()) {
+        this.sessions.delete(sessionId);
+        return null;
+      }
+
+      session.expiresAt = Date.now() + SESSION_TTL;
+      return { user: session.user, via: 'session', sessionId };
+    }
+
+    return null;
+  }
+
+  parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    for (const part of header.split(';')) {
+      const index = part.indexOf('=');
+      if (index === -1) continue;
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore malformed cookies set by other apps on the same host
+      }
+    }
+    return cookies;
+  }
+
+  /**
+   * Set-Cookie value for a session; an empty ID clears the cookie
+   */
+  sessionCookie(sessionId, secure) {
+    const attributes = [
+      `${SESSION_COOKIE}=${sessionId || ''}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      sessionId ? `Max-Age=${Math.floor(SESSION_TTL / 1000)}` : 'Max-Age=0'
+    ];
+    if (secure) attributes.push('Secure');
+    return attributes.join('; ');
+  }
+
+  /**
+   * Drop expired sessions and stale login failures
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(sessionId);
+    }
+    for (const [key, entry] of this.failedLogins) {
+      if (now - entry.since >= LOGIN_LOCKOUT) this.failedLogins.delete(key);
+    }
+  }
+}
+
+module.exports = new AuthManager();
@@ -0,0 +1,276 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const dockerManager = require('./docker');
+const settingsStore = require('./settingsStore');
+const { HamnenError, ConflictError } = require('./errors');
+
+// Any image with sh and tar; it runs on the Docker host, where the data is
+const HELPER_IMAGE = process.env.HAMNEN_BACKUP_IMAGE || 'alpine:3.20';
+
+// Backups taken before IDs had milliseconds and a random suffix have neither
+const BACKUP_ID = /^\d{8}T\d{6}(\d{3})?Z(-[0-9a-f]{6})?$/;
+
+// Archives mount n, mounted at /source/n, to $DEST/n.tar.gz and reports
+// "n kind size" for each. Entries are named n so files and folders unpack alike.
+// An existing $DEST is never written to, and a failed run removes what it wrote.
+const BACKUP_SCRIPT = `set -e
+mkdir -p "$(dirname "$DEST")"
+mkdir "$DEST"
+trap 'rm -rf "$DEST"' EXIT
+i=0
+while [ "$i" -lt "$COUNT" ]; do
+  tar -czf "$DEST/$i.tar.gz" -C /source "$i"
+  if [ -d "/source/$i" ]; then kind=directory; else kind=file; fi
+  echo "$i $kind $(wc -c < "$DEST/$i.tar.gz")"
+  i=$((i + 1))
+done
+trap - EXIT`;
+
+// Replaces the contents of each mount at /target/n with its archive. A
+// mounted file cannot be replaced, only overwritten in place.
+const RESTORE_SCRIPT = `set -e
+i=0
+for kind in $KINDS; do
+  if [ "$kind" = directory ]; then
+    find "/target/$i" -mindepth 1 -maxdepth 1 -exec rm -rf {} +
+    tar -xzf "/backup/$i.tar.gz" -C /target
+  else
+    tar -xzf "/backup/$i.tar.gz" -O > "/target/$i"
+  fi
+  i=$((i + 1))
+done`;
+
+/**
+ * Backups of the data apps keep in bind mounts and named volumes.
+ *
+ * That data lives on the Docker host, so a helper container does the
+ * archiving: <backupDir>/<category>/<app>/<backupId>/ gets an <n>.tar.gz
+ * per mount and a manifest.json describing them. The manifests are also
+ * kept in data/backup-index/<category>/<app>.json, newest first, which is
+ * what backups are listed from.
+ */
+class BackupManager {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.indexDir = path.join(this.dataDir, 'backup-index');
+    // Serializes index updates so concurrent backups cannot drop each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  indexPath(appId) {
+    return path.join(this.indexDir, `${appId}.json`);
+  }
+
+  /**
+   * Backups of an app, newest first
+   */
+  async list(appId) {
+    try {
+      return JSON.parse(await fs.readFile(this.indexPath(appId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new HamnenError(`Failed to read the backups of ${appId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * One backup, or a 404
+   */
+  async get(appId, backupId) {
+    const backup = BACKUP_ID.test(backupId)
+      ? (await this.list(appId)).find(candidate => candidate.id === backupId)
+      : null;
+    if (!backup) {
+      throw new HamnenError(`Backup ${backupId} of ${appId} not found`, { statusCode: 404, code: 'BACKUP_NOT_FOUND' });
+    }
+    return backup;
+  }
+
+  /**
+   * Change an app's backup list
+   * @param {Function} change - backups => backups
+   */
+  async updateIndex(appId, change) {
+    const filePath = this.indexPath(appId);
+    const write = async () => {
+      const backups = change(await this.list(appId));
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(backups, null, 2), { mode: 0o600 });
+      await fs.rename(tmp, filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    await this.writeQueue;
+  }
+
+  /**
+   * The mounts worth backing up: writable ones, without sockets such as
+   * docker.sock, each once even when several services share it
+   */
+  async getMounts(appId) {
+    const mounts = await dockerManager.listAppMounts(appId);
+    const seen = new Set();
+
+    return mounts.filter(mount => {
+      const key = `${mount.type}:${mount.source}`;
+      if (mount.readOnly || mount.source.endsWith('.sock') || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Backup IDs are the UTC time they were taken, to the millisecond, and a
+   * random suffix, e.g. 20240501T031500123Z-3f9a1c, so two backups in the
+   * same moment still get their own
+   */
+  newId() {
+    const time = new Date().toISOString().replace(/[-:.]/g, '');
+    return `${time}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Archive the given mounts of an app. The caller makes sure nothing
+   * writes to them meanwhile.
+   * @param {object} app - Loaded app
+   * @param {object[]} mounts - From getMounts
+   * @param {object} [options]
+   * @param {string} [options.mode] - How the app was kept still, recorded in the manifest
+   * @returns {Promise<object>} The backup's manifest
+   */
+  async create(app, mounts, { mode = 'stop' } = {}) {
+    const { backupDir } = await settingsStore.get();
+    const id = this.newId();
+    const location = path.join(backupDir, app.id, id);
+    if ((await this.list(app.id)).some(backup => backup.id === id)) {
+      throw new ConflictError(`Backup ${id} of ${app.id} already exists`);
+    }
+
+    let output;
+    try {
+      output = await dockerManager.runHelper({
+        image: HELPER_IMAGE,
+        script: BACKUP_SCRIPT,
+        binds: [
+          `${backupDir}:/backups`,
+          ...mounts.map((mount, index) => `${mount.source}:/source/${index}:ro`)
+        ],
+        env: { DEST: `/backups/${app.id}/${id}`, COUNT: mounts.length }
+      });
+    } catch (error) {
+      throw new HamnenError(`Backup of ${app.name} failed: ${error.message}`, { statusCode: 502, code: 'BACKUP_FAILED' });
+    }
+
+    const archives = new Map(output.map(line => {
+      const [index, kind, size] = line.trim().split(' ');
+      return [Number(index), { kind, size: Number(size) }];
+    }));
+
+    const backup = {
+      id,
+      appId: app.id,
+      createdAt: new Date().toISOString(),
+      mode,
+      location,
+      mounts: mounts.map((mount, index) => ({
+        ...mount,
+        archive: `${index}.tar.gz`,
+        ...archives.get(index)
+      }))
+    };
+    backup.size = backup.mounts.reduce((sum, mount) => sum + (mount.size || 0), 0);
+
+    // Keep the archives self-describing for restoring by hand
+    try {
+      await dockerManager.runHelper({
+        image: HELPER_IMAGE,
+        script: 'printf "%s\\n" "$MANIFEST" > /backup/manifest.json',
+        binds: [`${location}:/backup`],
+        env: { MANIFEST: JSON.stringify(backup, null, 2) }
+      });
+    } catch (error) {
+      // Archives that never make it into the index could not be pruned or removed
+      await this.removeFiles(location).catch(cleanupError => {
+        console.warn(`Failed to clean up ${location}:`, cleanupError.message);
+      });
+      throw new HamnenError(`Backup of ${app.name} failed: ${error.message}`, { statusCode: 502, code: 'BACKUP_FAILED' });
+    }
+
+    await this.updateIndex(app.id, backups => {
+      if (backups.some(existing => existing.id === id)) {
+        throw new ConflictError(`Backup ${id} of ${app.id} already exists`);
+      }
+      return [backup, ...backups];
+    });
+    return backup;
+  }
+
+  /**
+   * Put a backup's archives back into the mounts they came from. The
+   * caller stops the app first.
+   */
+  async restore(backup) {
+    try {
+      await dockerManager.runHelper({
+        image: HELPER_IMAGE,
+        script: RESTORE_SCRIPT,
+        binds: [
+          `${backup.location}:/backup:ro`,
+          ...backup.mounts.map((mount, index) => `${mount.source}:/target/${index}`)
+        ],
+        env: { KINDS: backup.mounts.map(mount => mount.kind).join(' ') }
+      });
+    } catch (error) {
+      throw new HamnenError(`Restoring backup ${backup.id} failed: ${error.message}`, { statusCode: 502, code: 'RESTORE_FAILED' });
+    }
+  }
+
+  /**
+   * Delete a backup's archives and forget it
+   */
+  async remove(appId, backupId) {
+    const backup = await this.get(appId, backupId);
+    await this.removeFiles(backup.location);
+    await this.updateIndex(appId, backups => backups.filter(candidate => candidate.id !== backupId));
+    return backup;
+  }
+
+  async removeFiles(location) {
+    await dockerManager.runHelper({
+      image: HELPER_IMAGE,
+      script: 'rm -rf "/backups/$ID"',
+      binds: [`${path.dirname(location)}:/backups`],
+      env: { ID: path.basename(location) }
+    });
+  }
+
+  /**
+   * Delete the backups the retention settings no longer keep: beyond the
+   * newest backupKeep, or older than backupMaxAgeDays
+   * @returns {Promise<object[]>} The deleted backups
+   */
+  async prune(appId) {
+    const { backupKeep, backupMaxAgeDays } = await settingsStore.get();
+    const cutoff = Date.now() - backupMaxAgeDays * 24 * 60 * 60 * 1000;
+
+    const expired = (await this.list(appId)).filter((backup, index) => index > 0 && (
+      (backupKeep > 0 && index >= backupKeep) ||
+      (backupMaxAgeDays > 0 && Date.parse(backup.createdAt) < cutoff)
+    ));
+
+    const removed = [];
+    for (const backup of expired) {
+      try {
+        await this.remove(appId, backup.id);
+        removed.push(backup);
+      } catch (error) {
+        console.warn(`Failed to delete backup ${backup.id} of ${appId}:`, error.message);
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = new BackupManager();
@@ -0,0 +1,355 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const appLoader = require('./appLoader');
+const dockerManager = require('./docker');
+const portRegistry = require('./portRegistry');
+const descriptionSchema = require('../schemas/description.schema.json');
+
+// Hosts in a healthCheck URL that mean "a port published on the Docker host"
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1']);
+
+/**
+ * Validates the apps catalog: every description.json against the JSON
+ * Schema, and each description against its docker-compose.yml.
+ *
+ * Every problem is reported as an issue:
+ *   { level: "error" | "warning", code, message, file }
+ */
+class CatalogValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true });
+    this.validateDescription = this.ajv.compile(descriptionSchema);
+  }
+
+  /**
+   * Validate every app in the catalog
+   * @param {object} [options]
+   * @param {boolean} [options.checkDocker=true] - Also check against the Docker
+   *   Engine (external networks); skipped with a warning if Docker is unreachable
+   * @returns {Promise<object>} { valid, summary, issues, apps }
+   */
+  async validateCatalog({ checkDocker = true } = {}) {
+    const dirs = await appLoader.listAppDirs();
+    const results = [];
+
+    for (const dir of dirs) {
+      results.push(await this.validateAppDir(dir));
+    }
+
+    const issues = [];
+    this.checkDuplicateContainerNames(results);
+    this.checkDependencies(results);
+    await this.checkSharedPorts(results);
+
+    if (checkDocker) {
+      try {
+        await this.checkNetworks(results);
+      } catch (error) {
+        issues.push({
+          level: 'warning',
+          code: 'DOCKER_UNAVAILABLE',
+          message: `External networks were not checked: ${error.message}`,
+          file: null
+        });
+      }
+    }
+
+    const apps = results.map(({ id, issues: appIssues }) => ({
+      id,
+      valid: !appIssues.some(issue => issue.level === 'error'),
+      issues: appIssues
+    }));
+
+    const allIssues = [...issues, ...apps.flatMap(app => app.issues)];
+    const errors = allIssues.filter(issue => issue.level === 'error').length;
+
+    return {
+      valid: errors === 0,
+      summary: {
+        apps: apps.length,
+        invalidApps: apps.filter(app => !app.valid).length,
+        errors,
+        warnings: allIssues.length - errors
+      },
+      issues,
+      apps
+    };
+  }
+
+  /**
+   * Parse and check one app directory on its own
+   * @param {object} dir - Entry from appLoader.listAppDirs()
+   */
+  async validateAppDir(dir) {
+    const result = { id: dir.id, issues: [], description: null, compose: null };
+    const issue = (level, code, message, file) => result.issues.push({ level, code, message, file });
+
+    // appLoader skips apps whose compose file was renamed to take them out of the catalog
+    if (await appLoader.fileExists(path.join(dir.path, 'docker-compose.yml.disabled'))) {
+      issue('warning', 'APP_DISABLED', 'docker-compose.yml is disabled, the app is not listed', 'docker-compose.yml');
+      return result;
+    }
+
+    result.description = await this.readFile(dir.path, 'description.json', JSON.parse, issue, 'INVALID_JSON');
+    result.compose = await this.readFile(dir.path, 'docker-compose.yml', yaml.load, issue, 'INVALID_YAML');
+
+    if (result.description && !this.validateDescription(result.description)) {
+      for (const error of this.validateDescription.errors) {
+        issue('error', 'SCHEMA', this.formatSchemaError(error), 'description.json');
+      }
+    }
+
+    if (result.description) {
+      this.checkUrlTemplate(result.description, issue);
+    }
+
+    if (result.compose) {
+      if (!result.compose.services || Object.keys(result.compose.services).length === 0) {
+        issue('error', 'NO_SERVICES', 'docker-compose.yml defines no services', 'docker-compose.yml');
+      } else if (result.description) {
+        this.checkPorts(result.description, result.compose, issue);
+        this.checkVariables(result.description, result.compose, issue);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read and parse one of an app's files, reporting a missing or unparsable file
+   */
+  async readFile(appPath, name, parse, issue, parseCode) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(appPath, name), 'utf8');
+    } catch (error) {
+      issue('error', 'MISSING_FILE', `${name} is missing`, name);
+      return null;
+    }
+
+    try {
+      return parse(content);
+    } catch (error) {
+      issue('error', parseCode, `${name} does not parse: ${error.message}`, name);
+      return null;
+    }
+  }
+
+  /**
+   * Turn an ajv error into a readable sentence
+   */
+  formatSchemaError(error) {
+    const where = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : 'description';
+
+    if (error.keyword === 'additionalProperties') {
+      return `${where} has unknown field "${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'required') {
+      return `${where} is missing required field "${error.params.missingProperty}"`;
+    }
+    return `${where} ${error.message}`;
+  }
+
+  /**
+   * The description's port and a local healthCheck must be published by compose
+   */
+  checkPorts(description, compose, issue) {
+    const services = Object.values(compose.services);
+    // With host networking nothing is published, container ports are the host's
+    if (services.some(service => service && service.network_mode === 'host')) return;
+
+    const published = new Set(
+      appLoader.extractComposeInfo(compose).ports.map(port => Number(port.host))
+    );
+
+    if (Number.isInteger(description.port) && !published.has(description.port)) {
+      issue('error', 'PORT_NOT_PUBLISHED',
+        `port ${description.port} is not published by any service in docker-compose.yml`,
+        'docker-compose.yml');
+    }
+
+    const healthCheckUrl = typeof description.healthCheck === 'string'
+      ? description.healthCheck
+      : description.healthCheck && description.healthCheck.url;
+    if (typeof healthCheckUrl !== 'string') return;
+
+    let url;
+    try {
+      url = new URL(healthCheckUrl);
+    } catch (error) {
+      issue('error', 'HEALTHCHECK_URL', `healthCheck URL "${healthCheckUrl}" is not a valid URL`, 'description.json');
+      return;
+    }
+
+    if (!LOCAL_HOSTS.has(url.hostname)) return;
+
+    const port = Number(url.port || (url.protocol === 'https:' ? 443 : 80));
+    if (!published.has(port)) {
+      issue('error', 'HEALTHCHECK_PORT',
+        `healthCheck port ${port} is not published by any service in docker-compose.yml`,
+        'description.json');
+    }
+  }
+
+  /**
+   * A urlTemplate must render to a valid URL, and can only use {port} when
+   * the app has one
+   */
+  checkUrlTemplate(description, issue) {
+    if (typeof description.urlTemplate !== 'string') return;
+    const template = description.urlTemplate;
+
+    if (template.includes('{port}') && !Number.isInteger(description.port)) {
+      issue('error', 'URL_TEMPLATE', `urlTemplate "${template}" uses {port} but the app has no port`, 'description.json');
+      return;
+    }
+
+    const values = { host: 'localhost', port: description.port, path: description.path || '/' };
+    try {
+      new URL(template.replace(/\{(host|port|path)\}/g, (match, name) => values[name]));
+    } catch (error) {
+      issue('error', 'URL_TEMPLATE', `urlTemplate "${template}" does not give a valid URL`, 'description.json');
+    }
+  }
+
+  /**
+   * Declared secrets and variables only do something when compose uses them
+   */
+  checkVariables(description, compose, issue) {
+    const text = JSON.stringify(compose);
+    const declared = [
+      ...(Array.isArray(description.secrets) ? description.secrets : []),
+      ...(Array.isArray(description.variables) ? description.variables : [])
+    ].map(entry => (typeof entry === 'string' ? entry : entry && entry.name));
+
+    for (const name of declared) {
+      if (typeof name !== 'string') continue;
+      if (!new RegExp(`\\$\\{?${name}\\b`).test(text)) {
+        issue('warning', 'UNUSED_VARIABLE', `${name} is declared but docker-compose.yml never uses it`, 'description.json');
+      }
+    }
+  }
+
+  /**
+   * requires and recommends must name apps in the catalog, and following
+   * requires must never lead back to the app itself
+   */
+  checkDependencies(results) {
+    const listed = results.filter(result => result.description && result.compose);
+    const disabled = new Set(results
+      .filter(result => result.issues.some(issue => issue.code === 'APP_DISABLED'))
+      .map(result => result.id));
+    const known = new Set(listed.map(result => result.id));
+    const field = (result, name) => (Array.isArray(result.description[name]) ? result.description[name] : []);
+
+    for (const result of listed) {
+      for (const name of ['requires', 'recommends']) {
+        for (const appId of field(result, name).flatMap(entry => appLoader.getAlternatives(entry))) {
+          if (known.has(appId)) continue;
+          result.issues.push(disabled.has(appId)
+            ? { level: 'warning', code: 'DEPENDENCY_DISABLED', message: `${name} ${appId}, which is disabled`, file: 'description.json' }
+            : { level: 'error', code: 'DEPENDENCY_UNKNOWN', message: `${name} ${appId}, which is not in the catalog`, file: 'description.json' });
+        }
+      }
+    }
+
+    const apps = listed.map(result => ({ id: result.id, requires: field(result, 'requires') }));
+    for (const result of listed) {
+      try {
+        appLoader.resolveDependencies(result.id, apps);
+      } catch (error) {
+        // Unknown apps are reported above; a cycle is reported by each app on it
+        if (error.code !== 'DEPENDENCY_CYCLE' || !error.details.cycle.includes(result.id)) continue;
+        result.issues.push({
+          level: 'error',
+          code: 'DEPENDENCY_CYCLE',
+          message: `requires leads back to itself: ${error.details.cycle.join(' -> ')}`,
+          file: 'description.json'
+        });
+      }
+    }
+  }
+
+  /**
+   * External networks must exist for docker-compose up. Hamnen creates
+   * missing ones on launch, so this is only a warning.
+   */
+  async checkNetworks(results) {
+    const withNetworks = results.filter(result => result.compose && appLoader.getExternalNetworks(result.compose).length > 0);
+    if (withNetworks.length === 0) return;
+
+    const existing = new Set(await dockerManager.listNetworkNames());
+
+    for (const result of withNetworks) {
+      for (const name of appLoader.getExternalNetworks(result.compose)) {
+        if (!existing.has(name)) {
+          result.issues.push({
+            level: 'warning',
+            code: 'NETWORK_MISSING',
+            message: `external network "${name}" does not exist yet; it is created on launch (or with: docker network create ${name})`,
+            file: 'docker-compose.yml'
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Apps that publish the same host port cannot run at the same time.
+   * That is a warning, not an error: starting the second one is refused.
+   */
+  async checkSharedPorts(results) {
+    const apps = results
+      .filter(result => result.compose && result.compose.services)
+      .map(result => ({ id: result.id, composeInfo: appLoader.extractComposeInfo(result.compose), result }));
+
+    for (const conflict of await portRegistry.findCatalogConflicts(apps)) {
+      for (const { appId, service } of conflict.apps) {
+        const others = [...new Set(conflict.apps.filter(use => use.appId !== appId).map(use => use.appId))];
+        apps.find(app => app.id === appId).result.issues.push({
+          level: 'warning',
+          code: 'PORT_SHARED',
+          message: `host port ${conflict.port}/${conflict.protocol} of service ${service} is also published by ${others.join(', ')}`,
+          file: 'docker-compose.yml'
+        });
+      }
+    }
+  }
+
+  /**
+   * container_name must be unique across the whole catalog, or the second
+   * app to start fails with a name conflict
+   */
+  checkDuplicateContainerNames(results) {
+    const owners = new Map();
+
+    for (const result of results) {
+      if (!result.compose || !result.compose.services) continue;
+      for (const [service, config] of Object.entries(result.compose.services)) {
+        if (!config || !config.container_name) continue;
+        const name = config.container_name;
+        if (!owners.has(name)) owners.set(name, []);
+        owners.get(name).push({ result, service });
+      }
+    }
+
+    for (const [name, uses] of owners) {
+      if (uses.length < 2) continue;
+      for (const { result, service } of uses) {
+        const others = uses
+          .filter(use => use.result !== result || use.service !== service)
+          .map(use => `${use.result.id} (${use.service})`);
+        result.issues.push({
+          level: 'error',
+          code: 'DUPLICATE_CONTAINER_NAME',
+          message: `container_name "${name}" of service ${service} is also used by ${others.join(', ')}`,
+          file: 'docker-compose.yml'
+        });
+      }
+    }
+  }
+}
+
+module.exports = new CatalogValidator();
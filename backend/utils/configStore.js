@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { HamnenError, ValidationError } = require('./errors');
+const settingsStore = require('./settingsStore');
+
+const VARIABLE_NAME = /^[A-Z_][A-Z0-9_]*$/;
+
+/**
+ * Per-install settings of each app, kept outside the (read-only) catalog
+ * in data/overrides/<category>/<app>.env and .yml. The .env file holds
+ * values for the variables a compose file interpolates; the .yml file is
+ * a compose override merged over the app's docker-compose.yml.
+ */
+class ConfigStore {
+  constructor() {
+    this.appsDir = process.env.APPS_DIR || path.join(__dirname, '../../apps');
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.dir = path.join(this.dataDir, 'overrides');
+    // Serializes writes so two saves of the same app cannot interleave
+    this.writeQueue = Promise.resolve();
+  }
+
+  envPath(appId) {
+    return path.join(this.dir, `${appId}.env`);
+  }
+
+  overridePath(appId) {
+    return path.join(this.dir, `${appId}.yml`);
+  }
+
+  async readOptional(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new HamnenError(`Failed to read ${filePath}: ${error.message}`);
+    }
+  }
+
+  async writeAtomic(filePath, content) {
+    const write = async () => {
+      if (content === null) {
+        await fs.rm(filePath, { force: true });
+        return;
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, content, { mode: 0o600 });
+      await fs.rename(tmp, filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * The app's variable overrides
+   * @returns {Promise<object>} { NAME: value }
+   */
+  async getEnv(appId) {
+    const content = await this.readOptional(this.envPath(appId));
+    const env = {};
+
+    for (const line of (content || '').split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+
+      const separator = trimmed.indexOf('=');
+      if (separator === -1) continue;
+      env[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1);
+    }
+    return env;
+  }
+
+  /**
+   * The app's compose override as written by the user, null if it has none
+   */
+  async getOverride(appId) {
+    return await this.readOptional(this.overridePath(appId));
+  }
+
+  /**
+   * The compose override parsed, null if the app has none
+   */
+  async getOverrideConfig(appId) {
+    const content = await this.getOverride(appId);
+    if (!content) return null;
+
+    try {
+      return yaml.load(content) || null;
+    } catch (error) {
+      throw new HamnenError(`Compose override of ${appId} does not parse: ${error.message}`, {
+        code: 'INVALID_OVERRIDE'
+      });
+    }
+  }
+
+  /**
+   * Extra files to hand to docker-compose, where the app has them
+   * @returns {Promise<{override: string|null, envFile: string|null}>}
+   */
+  async getComposeFiles(appId) {
+    const [override, env] = await Promise.all([
+      this.readOptional(this.overridePath(appId)),
+      this.readOptional(this.envPath(appId))
+    ]);
+
+    return {
+      override: override ? this.overridePath(appId) : null,
+      envFile: env ? this.envPath(appId) : null
+    };
+  }
+
+  /**
+   * Where an app keeps its data: <dataRoot>/<category>/<app>. Apps that
+   * already have a volumes folder in the catalog keep using it, so
+   * upgrading does not hide their data.
+   */
+  async getAppDataDir(appId) {
+    try {
+      await fs.access(path.join(this.appsDir, appId, 'volumes'));
+      return './volumes';
+    } catch (error) {
+      const { dataRoot } = await settingsStore.get();
+      return path.join(dataRoot, appId);
+    }
+  }
+
+  /**
+   * Variables Hamnen passes to every launch of the app: the global
+   * settings, the app's data folder and the defaults of its declared
+   * variables. Variables the user overrode are left out so the app's
+   * .env file decides them.
+   * @param {object} app - Loaded app, or at least its id and variables
+   */
+  async getLaunchEnv(app) {
+    const env = {
+      ...(await settingsStore.getEnv()),
+      HAMNEN_APP_DATA: await this.getAppDataDir(app.id)
+    };
+
+    // Defaults may build on the variables above, e.g. "${HAMNEN_APP_DATA}/movies"
+    for (const variable of app.variables || []) {
+      if (variable.default === undefined) continue;
+      env[variable.name] = this.expand(variable.default, env);
+    }
+
+    for (const name of Object.keys(await this.getEnv(app.id))) {
+      delete env[name];
+    }
+    return env;
+  }
+
+  /**
+   * Replace ${NAME} in a declared default
+   */
+  expand(value, env) {
+    return String(value).replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+  }
+
+  /**
+   * The variables an app declares in description.json with their current
+   * values, plus the raw overrides
+   */
+  async getAppConfig(app) {
+    const [env, override, launchEnv] = await Promise.all([
+      this.getEnv(app.id),
+      this.getOverride(app.id),
+      this.getLaunchEnv({ ...app, variables: [] })
+    ]);
+
+    const variables = (app.variables || []).map(variable => ({
+      name: variable.name,
+      label: variable.label || variable.name,
+      description: variable.description || null,
+      type: variable.type || 'string',
+      default: variable.default !== undefined ? this.expand(variable.default, launchEnv) : null,
+      options: variable.options || null,
+      value: env[variable.name] !== undefined ? env[variable.name] : null
+    }));
+
+    return { appId: app.id, variables, env, override };
+  }
+
+  /**
+   * Replace the app's overrides. Variables set to null or "" fall back to
+   * their default; an empty override removes the override file.
+   * @param {object} app - Loaded app
+   * @param {object} config - { env, override }
+   */
+  async setAppConfig(app, { env, override } = {}) {
+    if (env !== undefined) {
+      await this.writeAtomic(this.envPath(app.id), this.serializeEnv(app, env));
+    }
+    if (override !== undefined) {
+      await this.writeAtomic(this.overridePath(app.id), this.validateOverride(app, override));
+    }
+    return await this.getAppConfig(app);
+  }
+
+  /**
+   * Validate variable overrides and render them as a compose .env file,
+   * null when nothing is overridden
+   */
+  serializeEnv(app, env) {
+    if (!env || typeof env !== 'object' || Array.isArray(env)) {
+      throw new ValidationError('env must be an object of variable names to values');
+    }
+
+    const secrets = new Set((app.secrets || []).map(secret => (typeof secret === 'string' ? secret : secret.name)));
+    const lines = [];
+
+    for (const [name, value] of Object.entries(env)) {
+      if (!VARIABLE_NAME.test(name)) {
+        throw new ValidationError(`${name} is not a valid variable name`);
+      }
+      if (secrets.has(name)) {
+        throw new ValidationError(`${name} is a secret; set it through the app's secrets instead`);
+      }
+      if (value === null || value === '') continue;
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new ValidationError(`${name} must be a string, number or boolean`);
+      }
+
+      const text = String(value);
+      if (/[\r\n]/.test(text)) {
+        throw new ValidationError(`${name} must be a single line`);
+      }
+      // Compose interpolates env files too, where "$" starts a variable
+      if (text.includes('$')) {
+        throw new ValidationError(`${name} must not contain "$"`);
+      }
+      lines.push(`${name}=${text}`);
+    }
+
+    if (lines.length === 0) return null;
+    return `# Managed by Hamnen, settings of ${app.id}\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * A compose override must parse and may only extend the app's own
+   * services. Returns the content to store, null to remove it.
+   */
+  validateOverride(app, override) {
+    if (override === null || (typeof override === 'string' && override.trim() === '')) {
+      return null;
+    }
+    if (typeof override !== 'string') {
+      throw new ValidationError('override must be compose YAML as a string');
+    }
+
+    let config;
+    try {
+      config = yaml.load(override);
+    } catch (error) {
+      throw new ValidationError(`override does not parse: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ValidationError('override must be a compose file mapping');
+    }
+
+    const known = new Set((app.composeInfo && app.composeInfo.services) || []);
+    const unknown = Object.keys(config.services || {}).filter(service => !known.has(service));
+    if (unknown.length > 0) {
+      throw new ValidationError(`override names services ${app.id} does not have: ${unknown.join(', ')}`, {
+        services: [...known]
+      });
+    }
+
+    return override.endsWith('\n') ? override : `${override}\n`;
+  }
+}
+
+module.exports = new ConfigStore();
@@ -1,21 +1,39 @@
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
+const { PassThrough } = require('stream');
+const readline = require('readline');
 const path = require('path');
 const fs = require('fs').promises;
+const Docker = require('dockerode');
+const { DockerError, ValidationError } = require('./errors');
+const secretStore = require('./secretStore');
+const configStore = require('./configStore');
+const appLoader = require('./appLoader');
+const proxyManager = require('./proxyManager');
+const metrics = require('./metrics');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+const PROJECT_LABEL = 'com.docker.compose.project';
+const SERVICE_LABEL = 'com.docker.compose.service';
+// Marks the networks and helper containers Hamnen created itself
+const MANAGED_LABEL = 'com.hamnen.managed';
+const MAX_LOG_LINES = 10000;
 
 class DockerManager {
   constructor() {
     // Support both local development and Docker deployment
     this.appsDir = process.env.APPS_DIR || path.join(__dirname, '../../apps');
+    // Talks to the Engine API over DOCKER_HOST or /var/run/docker.sock
+    this.docker = new Docker();
   }
 
   /**
    * Execute docker-compose command
    * @param {string} appId - App ID which can be "appname" or "category/appname"
+   * @param {string[]} args - Compose arguments, passed to the binary without a shell
    */
-  async executeDockerCompose(appId, command, options = {}) {
+  async executeDockerCompose(appId, args, options = {}) {
     const appPath = path.join(this.appsDir, appId);
     const composeFile = path.join(appPath, 'docker-compose.yml');
 
@@ -23,88 +41,997 @@ class DockerManager {
     try {
       await fs.access(composeFile);
     } catch (error) {
-      throw new Error(`docker-compose.yml not found for ${appId}`);
+      throw new DockerError(`docker-compose.yml not found for ${appId}`, {
+        statusCode: 404,
+        code: 'COMPOSE_FILE_NOT_FOUND'
+      });
     }
 
-    // Use sanitized app name for project (replace / with -)
-    const projectName = `hamnen_${appId.replace(/\//g, '-')}`;
-    const cmd = `docker-compose -f ${composeFile} -p ${projectName} ${command}`;
+    const projectName = this.getProjectName(appId);
+    const { override, envFile } = await configStore.getComposeFiles(appId);
+    // Routing labels go last so a user override cannot drop them by accident
+    const routing = await proxyManager.getComposeOverride(appId);
+    const composeArgs = [
+      '-f', composeFile,
+      ...(override ? ['-f', override] : []),
+      ...(routing ? ['-f', routing] : []),
+      ...(envFile ? ['--env-file', envFile] : []),
+      '-p', projectName,
+      ...args
+    ];
+
+    const env = { ...(await this.getInheritedEnv(appId)), ...(await this.getComposeEnv(appId)), ...options.env };
 
     try {
-      const { stdout, stderr } = await execAsync(cmd, {
+      const { stdout, stderr } = await metrics.timeDockerCommand(args[0], () => execFileAsync('docker-compose', composeArgs, {
         cwd: appPath,
-        ...options
-      });
+        maxBuffer: 10 * 1024 * 1024,
+        ...options,
+        env
+      }));
       return { stdout, stderr, success: true };
     } catch (error) {
-      throw new Error(`Docker command failed: ${error.message}`);
+      throw DockerError.from(error, `docker-compose ${args[0]} failed`);
+    }
+  }
+
+  /**
+   * The backend's environment for compose, without the variables the user
+   * overrode: compose prefers the shell over --env-file
+   */
+  async getInheritedEnv(appId) {
+    const env = { ...process.env };
+    for (const name of Object.keys(await configStore.getEnv(appId))) {
+      delete env[name];
     }
+    return env;
+  }
+
+  /**
+   * Variables for compose interpolation in an app's docker-compose.yml:
+   * the global settings, its variables' defaults and its generated secrets
+   */
+  async getComposeEnv(appId) {
+    const app = await appLoader.findAppById(appId);
+    return {
+      ...(app ? await configStore.getLaunchEnv(app) : {}),
+      ...(await secretStore.getAppEnv(appId))
+    };
   }
 
   /**
    * Start an application
+   * @param {string} appName - App ID
+   * @param {object} [options]
+   * @param {object} [options.env] - Variables that take precedence over the app's settings
    */
-  async startApp(appName) {
-    return await this.executeDockerCompose(appName, 'up -d');
+  async startApp(appName, { env } = {}) {
+    await this.ensureAppNetworks(appName);
+    return await this.executeDockerCompose(appName, ['up', '-d'], env ? { env } : {});
   }
 
   /**
    * Stop an application
    */
   async stopApp(appName) {
-    return await this.executeDockerCompose(appName, 'down');
+    return await this.executeDockerCompose(appName, ['down']);
   }
 
   /**
-   * Get application status
+   * Restart an application's containers in place
+   */
+  async restartApp(appName) {
+    return await this.executeDockerCompose(appName, ['restart']);
+  }
+
+  /**
+   * Start a single compose service without touching its dependencies
+   */
+  async startService(appName, service) {
+    await this.ensureAppNetworks(appName);
+    return await this.executeDockerCompose(appName, ['up', '-d', '--no-deps', service]);
+  }
+
+  /**
+   * Stop a single compose service, leaving its container in place
+   */
+  async stopService(appName, service) {
+    return await this.executeDockerCompose(appName, ['stop', service]);
+  }
+
+  /**
+   * Restart a single compose service
+   */
+  async restartService(appName, service) {
+    return await this.executeDockerCompose(appName, ['restart', service]);
+  }
+
+  /**
+   * Stop an app's containers without removing them, unlike stopApp
    */
-  async getAppStatus(appName) {
-    try {
-      // Use docker ps with label filter instead of docker-compose ps for more reliable results
-      // This avoids issues with project name mismatches when container_name is hardcoded
-      const projectName = `hamnen_${appName.replace(/\//g, '-')}`;
-      const cmd = `docker ps -a --filter "label=com.docker.compose.project=${projectName}" --format "{{json .}}"`;
-
-      const { stdout, stderr } = await execAsync(cmd);
-      const containers = stdout
-        .split('\n')
-        .filter(line => line.trim())
-        .map(line => {
-          try {
-            return JSON.parse(line);
-          } catch {
-            return null;
+  async stopContainers(appName) {
+    return await this.executeDockerCompose(appName, ['stop']);
+  }
+
+  /**
+   * Start containers stopped with stopContainers
+   * @param {string} appName - App ID
+   * @param {string[]} [services] - Only these compose services
+   */
+  async startContainers(appName, services = []) {
+    return await this.executeDockerCompose(appName, ['start', ...services]);
+  }
+
+  /**
+   * Freeze or thaw an app's running containers
+   * @param {string} appName - App ID
+   * @param {boolean} paused - true to pause, false to unpause
+   */
+  async setAppPaused(appName, paused) {
+    try {
+      const containers = await this.getProjectContainers(appName);
+      const wanted = paused ? 'running' : 'paused';
+      await Promise.all(containers
+        .filter(info => info.State === wanted)
+        .map(info => (paused ? this.docker.getContainer(info.Id).pause() : this.docker.getContainer(info.Id).unpause())));
+    } catch (error) {
+      throw DockerError.from(error, `Failed to ${paused ? 'pause' : 'unpause'} containers`);
+    }
+  }
+
+  /**
+   * Bind mounts and named volumes of every container of an app
+   * @returns {Promise<Array<{service, type, source, destination, readOnly}>>}
+   *   source is the host path of a bind mount or the name of a volume
+   */
+  async listAppMounts(appName) {
+    const inspected = await this.inspectApp(appName);
+    return inspected.flatMap(container => (container.Mounts || [])
+      .filter(mount => mount.Type === 'bind' || mount.Type === 'volume')
+      .map(mount => ({
+        service: container.Config.Labels[SERVICE_LABEL] || null,
+        type: mount.Type,
+        source: mount.Type === 'volume' ? mount.Name : mount.Source,
+        destination: mount.Destination,
+        readOnly: !mount.RW
+      })));
+  }
+
+  /**
+   * Run a shell script in a throwaway container, e.g. to read or write
+   * paths on the Docker host the backend cannot reach itself
+   * @param {object} options
+   * @param {string} options.image - Image with a POSIX shell, pulled if missing
+   * @param {string} options.script - Run with sh -c
+   * @param {string[]} [options.binds] - "source:target[:ro]" mounts
+   * @param {object} [options.env] - Variables for the script
+   * @returns {Promise<string[]>} The script's output lines
+   */
+  async runHelper({ image, script, binds = [], env = {} }) {
+    return await metrics.timeDockerCommand('run-helper', async () => {
+      try {
+        await this.docker.getImage(image).inspect();
+      } catch (error) {
+        await this.pullImage(image);
+      }
+
+      let container;
+      try {
+        container = await this.docker.createContainer({
+          Image: image,
+          Cmd: ['sh', '-c', script],
+          Env: Object.entries(env).map(([name, value]) => `${name}=${value}`),
+          Labels: { [MANAGED_LABEL]: 'true' },
+          HostConfig: { Binds: binds }
+        });
+        await container.start();
+        const { StatusCode } = await container.wait();
+        const output = this.demuxLogs(await container.logs({ stdout: true, stderr: true }));
+
+        if (StatusCode !== 0) {
+          throw new DockerError(`Helper container failed: ${output.slice(-5).join(' ') || `exit code ${StatusCode}`}`);
+        }
+        return output;
+      } catch (error) {
+        throw DockerError.from(error, 'Helper container failed');
+      } finally {
+        if (container) {
+          await container.remove({ force: true }).catch(() => {});
+        }
+      }
+    });
+  }
+
+  /**
+   * Pull an image through the Engine API
+   * @param {string} image - Image reference, e.g. "nginx:alpine"
+   * @param {Function} onProgress - Called with ({ status, current, total, percent })
+   */
+  async pullImage(image, onProgress = () => {}) {
+    return await metrics.timeDockerCommand('pull-image', async () => {
+      let stream;
+      try {
+        stream = await this.docker.pull(image);
+      } catch (error) {
+        throw DockerError.from(error, `Failed to pull ${image}`);
+      }
+
+      const layers = new Map();
+
+      return await new Promise((resolve, reject) => {
+        this.docker.modem.followProgress(stream, (error, output) => {
+          if (error) {
+            reject(DockerError.from(error, `Failed to pull ${image}`));
+            return;
           }
-        })
-        .filter(Boolean);
+          // Registry errors arrive inside the stream rather than as a failed request
+          const failure = output.find(event => event.error);
+          if (failure) {
+            reject(new DockerError(`Failed to pull ${image}: ${failure.error}`));
+            return;
+          }
+          onProgress({ status: 'Pull complete', current: 0, total: 0, percent: 100 });
+          resolve(output);
+        }, (event) => {
+          if (event.id && event.progressDetail) {
+            const layer = layers.get(event.id) || { current: 0, total: 0 };
+            if (event.progressDetail.total) {
+              layer.current = event.progressDetail.current || 0;
+              layer.total = event.progressDetail.total;
+            }
+            // Finished or cached layers may never report byte counts
+            if (event.status === 'Pull complete' || event.status === 'Already exists') {
+              layer.done = true;
+            }
+            layers.set(event.id, layer);
+          }
+          onProgress(this.summarizePullProgress(event.status, layers));
+        });
+      });
+    });
+  }
+
+  /**
+   * Inspect a local image by reference or ID
+   * @returns {Promise<object|null>} The Engine's image info, null if it is not there
+   */
+  async inspectImage(image) {
+    try {
+      return await this.docker.getImage(image).inspect();
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw DockerError.from(error, `Failed to inspect image ${image}`);
+    }
+  }
+
+  /**
+   * Digest of the manifest a tag points at in its registry, asked through
+   * the Engine so it uses the host's registry logins and mirrors
+   */
+  async getRegistryDigest(image) {
+    try {
+      const { Descriptor } = await this.docker.getImage(image).distribution();
+      return Descriptor.digest;
+    } catch (error) {
+      throw DockerError.from(error, `Failed to look up ${image} in its registry`);
+    }
+  }
+
+  /**
+   * Compare an image with its registry
+   * @param {string} image - Reference from the compose file, e.g. "nginx:alpine"
+   * @param {string} [imageId] - The local image to compare, e.g. the one a
+   *   container runs; defaults to what the reference points at locally
+   * @returns {Promise<object>} { image, status, localDigest, remoteDigest, error }
+   *   where status is "up-to-date", "update-available", "missing" (not
+   *   pulled), "pinned" (referenced by digest), "local" (never pulled from
+   *   a registry) or "error"
+   */
+  async checkImageUpdate(image, imageId) {
+    return await metrics.timeDockerCommand('check-image-update', async () => {
+      const result = { image, status: null, localDigest: null, remoteDigest: null, error: null };
+      if (image.includes('@')) {
+        return { ...result, status: 'pinned' };
+      }
+
+      const local = await this.inspectImage(imageId || image);
+      if (!local) {
+        return { ...result, status: 'missing' };
+      }
+
+      // "repo@sha256:..." for each registry the image was pulled from or pushed to
+      const localDigests = (local.RepoDigests || []).map(repoDigest => repoDigest.split('@')[1]);
+      if (localDigests.length === 0) {
+        return { ...result, status: 'local' };
+      }
+
+      try {
+        const remoteDigest = await this.getRegistryDigest(image);
+        const upToDate = localDigests.includes(remoteDigest);
+        return {
+          ...result,
+          status: upToDate ? 'up-to-date' : 'update-available',
+          localDigest: upToDate ? remoteDigest : localDigests[0],
+          remoteDigest
+        };
+      } catch (error) {
+        metrics.countDockerError('check-image-update');
+        return { ...result, status: 'error', localDigest: localDigests[0], error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Point a reference such as "nginx:alpine" at a local image again
+   * @param {string} imageId - sha256:... of the image
+   * @param {string} image - Reference to set
+   */
+  async tagImage(imageId, image) {
+    // The tag is whatever follows the last ":" after the last "/"
+    const match = image.match(/^(.+?)(?::([^:/]+))?$/);
+    try {
+      await this.docker.getImage(imageId).tag({ repo: match[1], tag: match[2] || 'latest' });
+    } catch (error) {
+      throw DockerError.from(error, `Failed to tag ${imageId} as ${image}`);
+    }
+  }
+
+  /**
+   * Image IDs the app's containers run, by the reference they were created with
+   * @returns {Promise<Map<string, string>>} e.g. "nginx:alpine" -> "sha256:..."
+   */
+  async getAppImages(appName) {
+    const inspected = await this.inspectApp(appName);
+    return new Map(inspected.map(container => [container.Config.Image, container.Image]));
+  }
+
+  /**
+   * Reduce per-layer pull progress to one number per image
+   */
+  summarizePullProgress(status, layers) {
+    let current = 0;
+    let total = 0;
+    let done = 0;
+
+    for (const layer of layers.values()) {
+      if (layer.done) {
+        done++;
+      } else {
+        current += layer.current;
+        total += layer.total;
+      }
+    }
+
+    const pending = layers.size - done;
+    // Layers still waiting to download count as 0% until they report a size
+    const pendingPercent = pending > 0 && total > 0 ? (current / total) * pending : 0;
+    const percent = layers.size > 0 ? Math.round(((done + pendingPercent) / layers.size) * 100) : 0;
+
+    return { status, current, total, percent, layers: layers.size };
+  }
+
+  /**
+   * Get the compose project name for an app (replace / with -)
+   * @param {string} appId - App ID which can be "appname" or "category/appname"
+   */
+  getProjectName(appId) {
+    return `hamnen_${appId.replace(/\//g, '-')}`;
+  }
+
+  /**
+   * List containers through the Engine API, optionally filtered by label
+   */
+  async listContainers(labelFilter) {
+    try {
+      return await this.docker.listContainers({
+        all: true,
+        filters: { label: [labelFilter] }
+      });
+    } catch (error) {
+      throw DockerError.from(error, 'Failed to list containers');
+    }
+  }
+
+  /**
+   * Host ports published by running containers, Hamnen's or not
+   * @returns {Promise<Array<{port, protocol, hostIp, project, container}>>}
+   */
+  async listPublishedPorts() {
+    let containers;
+    try {
+      containers = await this.docker.listContainers();
+    } catch (error) {
+      throw DockerError.from(error, 'Failed to list containers');
+    }
+
+    const published = [];
+    for (const container of containers) {
+      for (const port of container.Ports || []) {
+        if (!port.PublicPort) continue;
+        published.push({
+          port: port.PublicPort,
+          protocol: port.Type || 'tcp',
+          hostIp: port.IP || null,
+          project: (container.Labels && container.Labels[PROJECT_LABEL]) || null,
+          container: this.getContainerName(container)
+        });
+      }
+    }
+    return published;
+  }
+
+  /**
+   * Names of all Docker networks
+   */
+  async listNetworkNames() {
+    try {
+      const networks = await this.docker.listNetworks();
+      return networks.map(network => network.Name);
+    } catch (error) {
+      throw DockerError.from(error, 'Failed to list networks');
+    }
+  }
+
+  /**
+   * Inspect a network by name
+   * @returns {Promise<object|null>} The Engine's network info, null if it does not exist
+   */
+  async inspectNetwork(name) {
+    try {
+      return await this.docker.getNetwork(name).inspect();
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw DockerError.from(error, `Failed to inspect network ${name}`);
+    }
+  }
+
+  /**
+   * Create a bridge network for apps to share
+   */
+  async createNetwork(name) {
+    try {
+      await this.docker.createNetwork({
+        Name: name,
+        Driver: 'bridge',
+        CheckDuplicate: true,
+        Labels: { [MANAGED_LABEL]: 'true' }
+      });
+    } catch (error) {
+      // Another launch created it in the meantime
+      if (error.statusCode === 409) return;
+      throw DockerError.from(error, `Failed to create network ${name}`);
+    }
+  }
+
+  /**
+   * Whether Hamnen created a network, from its inspect info
+   */
+  isManagedNetwork(info) {
+    return Boolean(info.Labels && info.Labels[MANAGED_LABEL]);
+  }
+
+  /**
+   * Remove a network, which must have no containers attached
+   */
+  async removeNetwork(name) {
+    try {
+      await this.docker.getNetwork(name).remove();
+    } catch (error) {
+      throw DockerError.from(error, `Failed to remove network ${name}`);
+    }
+  }
+
+  /**
+   * Create the external networks an app's compose file expects, which
+   * docker-compose itself refuses to do
+   * @returns {Promise<string[]>} Names of the networks that were created
+   */
+  async ensureAppNetworks(appId) {
+    const app = await appLoader.findAppById(appId);
+    const created = [];
+
+    for (const name of (app && app.composeInfo.networks) || []) {
+      if (await this.inspectNetwork(name)) continue;
+      await this.createNetwork(name);
+      console.log(`Created network ${name} for ${appId}`);
+      created.push(name);
+    }
+    return created;
+  }
+
+  /**
+   * Containers attached to a network, running or not
+   * @returns {Promise<Array<{name, project, service, state}>>}
+   */
+  async listNetworkContainers(name) {
+    let containers;
+    try {
+      containers = await this.docker.listContainers({ all: true, filters: { network: [name] } });
+    } catch (error) {
+      throw DockerError.from(error, `Failed to list containers on network ${name}`);
+    }
+
+    return containers.map(container => ({
+      name: this.getContainerName(container),
+      project: (container.Labels && container.Labels[PROJECT_LABEL]) || null,
+      service: (container.Labels && container.Labels[SERVICE_LABEL]) || null,
+      state: container.State
+    }));
+  }
+
+  /**
+   * List the containers belonging to an app's compose project
+   */
+  async getProjectContainers(appId) {
+    return await this.listContainers(`${PROJECT_LABEL}=${this.getProjectName(appId)}`);
+  }
+
+  /**
+   * Container name without the leading slash the Engine API adds
+   */
+  getContainerName(container) {
+    return (container.Names[0] || container.Id).replace(/^\//, '');
+  }
+
+  /**
+   * Describe a container from the Engine's container listing. The listing has
+   * no restart count or policy, so those are filled in by inspectContainer.
+   */
+  describeContainer(info) {
+    const healthMatch = info.Status.match(/\((healthy|unhealthy|health: starting)\)/);
+    const exitMatch = info.Status.match(/^Exited \((-?\d+)\)/);
+
+    return {
+      name: this.getContainerName(info),
+      service: info.Labels[SERVICE_LABEL] || null,
+      state: info.State,
+      status: info.Status,
+      health: healthMatch ? healthMatch[1].replace('health: ', '') : null,
+      exitCode: exitMatch ? Number(exitMatch[1]) : null,
+      restartCount: null,
+      restartPolicy: null,
+      startedAt: null,
+      finishedAt: null,
+      uptime: null
+    };
+  }
+
+  /**
+   * Describe a container with the details only `inspect` provides
+   */
+  async inspectContainer(info) {
+    const description = this.describeContainer(info);
+    const inspect = await this.docker.getContainer(info.Id).inspect();
+    const state = inspect.State;
+    const running = state.Running && !state.Restarting;
+
+    return {
+      ...description,
+      health: state.Health ? state.Health.Status : null,
+      exitCode: running ? null : state.ExitCode,
+      restartCount: inspect.RestartCount,
+      restartPolicy: (inspect.HostConfig.RestartPolicy && inspect.HostConfig.RestartPolicy.Name) || 'no',
+      startedAt: state.StartedAt,
+      finishedAt: running ? null : state.FinishedAt,
+      uptime: running ? Math.max(Math.round((Date.now() - Date.parse(state.StartedAt)) / 1000), 0) : null
+    };
+  }
 
-      if (containers.length === 0) {
-        return { status: 'stopped', containers: [] };
+  /**
+   * Classify a described container. Services that exit 0 and are not meant to
+   * be restarted (one-shot init or migration containers) are "completed" rather
+   * than failures; a non-zero exit or a restart loop is a real problem.
+   */
+  classifyContainer(container) {
+    switch (container.state) {
+      case 'running':
+        if (container.health === 'unhealthy') return 'unhealthy';
+        if (container.health === 'starting') return 'starting';
+        return 'running';
+      case 'restarting':
+        return 'restarting';
+      case 'exited':
+      case 'dead':
+        if (container.exitCode !== 0) return 'failed';
+        // Without inspect data assume a clean exit was intentional, since
+        // services with a restart policy would have been brought back up
+        return container.restartPolicy === null || ['no', 'on-failure'].includes(container.restartPolicy)
+          ? 'completed'
+          : 'stopped';
+      default:
+        // created, paused, removing
+        return container.state;
+    }
+  }
+
+  /**
+   * Collapse a project's containers into a single status. Completed one-shot
+   * services do not count against an otherwise running app.
+   */
+  summarizeContainers(containers) {
+    if (containers.length === 0) {
+      return { status: 'stopped', containers: [] };
+    }
+
+    const described = containers.map(container => ({
+      ...container,
+      condition: this.classifyContainer(container)
+    }));
+
+    const longRunning = described.filter(c => c.condition !== 'completed');
+    const allRunning = longRunning.every(c => ['running', 'starting', 'unhealthy'].includes(c.condition));
+
+    return {
+      status: allRunning ? 'running' : 'partial',
+      containers: described
+    };
+  }
+
+  /**
+   * Get application status
+   * @param {string} appName - App ID
+   * @param {object} options
+   * @param {boolean} [options.detailed] - Inspect each container for restart counts, exit codes and uptime
+   */
+  async getAppStatus(appName, { detailed = false } = {}) {
+    try {
+      return await metrics.timeDockerCommand('status', async () => {
+        // Filter on the compose project label instead of asking docker-compose, which
+        // avoids project name mismatches when container_name is hardcoded
+        const containers = await this.getProjectContainers(appName);
+        const described = detailed
+          ? await Promise.all(containers.map(info => this.inspectContainer(info)))
+          : containers.map(info => this.describeContainer(info));
+
+        return this.summarizeContainers(described);
+      });
+    } catch (error) {
+      return { status: 'stopped', containers: [], error: error.message, code: error.code };
+    }
+  }
+
+  /**
+   * Get the status of every Hamnen project with a single Engine API call
+   * @returns {Promise<Map<string, object>>} Status keyed by compose project name
+   */
+  async getAllProjectStatuses() {
+    const containers = await metrics.timeDockerCommand('status', () => this.listContainers(PROJECT_LABEL));
+    const byProject = new Map();
+
+    for (const container of containers) {
+      const projectName = container.Labels[PROJECT_LABEL];
+      if (!projectName || !projectName.startsWith('hamnen_')) continue;
+
+      if (!byProject.has(projectName)) {
+        byProject.set(projectName, []);
       }
+      byProject.get(projectName).push(container);
+    }
 
-      const allRunning = containers.every(c => c.State === 'running');
-      return {
-        status: allRunning ? 'running' : 'partial',
-        containers: containers.map(c => ({
-          name: c.Names,
-          state: c.State,
-          status: c.Status
-        }))
-      };
+    const statuses = new Map();
+    for (const [projectName, projectContainers] of byProject) {
+      statuses.set(projectName, this.summarizeContainers(
+        projectContainers.map(info => this.describeContainer(info))
+      ));
+    }
+    return statuses;
+  }
+
+  /**
+   * Subscribe to Engine events for containers belonging to compose projects
+   * @returns {Promise<ReadableStream>} Newline delimited JSON event stream
+   */
+  async watchEvents() {
+    try {
+      return await this.docker.getEvents({
+        filters: {
+          type: ['container'],
+          label: [PROJECT_LABEL]
+        }
+      });
     } catch (error) {
-      return { status: 'stopped', containers: [], error: error.message };
+      throw DockerError.from(error, 'Failed to subscribe to Docker events');
     }
   }
 
+  /**
+   * Split a log buffer from the Engine API into lines.
+   * Containers without a TTY multiplex stdout/stderr behind 8 byte frame headers.
+   */
+  demuxLogs(buffer) {
+    const isMultiplexed = buffer.length >= 8 &&
+      buffer[0] <= 2 && buffer[1] === 0 && buffer[2] === 0 && buffer[3] === 0;
+
+    if (!isMultiplexed) {
+      return buffer.toString('utf8').split('\n').filter(Boolean);
+    }
+
+    const chunks = [];
+    let offset = 0;
+    while (offset + 8 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset + 4);
+      chunks.push(buffer.slice(offset + 8, offset + 8 + length).toString('utf8'));
+      offset += 8 + length;
+    }
+    return chunks.join('').split('\n').filter(Boolean);
+  }
+
   /**
    * Get application logs
+   * @param {string} appName - App ID
+   * @param {number|string} lines - Number of lines to return per container
    */
   async getAppLogs(appName, lines = 100) {
+    const tail = Number(lines);
+    if (!Number.isInteger(tail) || tail < 1 || tail > MAX_LOG_LINES) {
+      throw new ValidationError(`lines must be an integer between 1 and ${MAX_LOG_LINES}`);
+    }
+
+    try {
+      return await metrics.timeDockerCommand('logs', async () => {
+        const containers = await this.getProjectContainers(appName);
+
+        const entries = await Promise.all(containers.map(async (info) => {
+          const service = info.Labels[SERVICE_LABEL] || this.getContainerName(info);
+          const buffer = await this.docker.getContainer(info.Id).logs({
+            stdout: true,
+            stderr: true,
+            timestamps: true,
+            tail
+          });
+
+          return this.demuxLogs(buffer).map(line => {
+            const index = line.indexOf(' ');
+            return { service, timestamp: line.slice(0, index), message: line.slice(index + 1) };
+          });
+        }));
+
+        // Interleave containers by time, like `docker-compose logs` does
+        return entries
+          .flat()
+          .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+          .map(entry => `${entry.service} | ${entry.message}`)
+          .join('\n');
+      });
+    } catch (error) {
+      throw DockerError.from(error, 'Failed to get logs');
+    }
+  }
+
+  /**
+   * Convert a log cursor to the seconds.nanoseconds form the Engine API takes
+   * @param {string} value - Unix seconds or an RFC 3339 timestamp as emitted with log lines
+   * @param {boolean} exclusive - Skip the line at exactly this timestamp
+   */
+  toLogCursor(value, exclusive = false) {
+    const text = String(value);
+    let seconds;
+    let nanos;
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      const [whole, fraction = ''] = text.split('.');
+      seconds = Number(whole);
+      nanos = Number(fraction.padEnd(9, '0').slice(0, 9));
+    } else {
+      const match = text.match(/^(.+?)(?:\.(\d+))?(Z|[+-]\d\d:\d\d)$/);
+      const ms = match ? Date.parse(`${match[1]}${match[3]}`) : NaN;
+      if (Number.isNaN(ms)) {
+        throw new ValidationError('since must be Unix seconds or an RFC 3339 timestamp');
+      }
+      seconds = Math.floor(ms / 1000);
+      nanos = Number((match[2] || '').padEnd(9, '0').slice(0, 9));
+    }
+
+    if (exclusive) {
+      nanos++;
+      if (nanos === 1e9) {
+        seconds++;
+        nanos = 0;
+      }
+    }
+
+    return `${seconds}.${String(nanos).padStart(9, '0')}`;
+  }
+
+  /**
+   * Follow an app's container logs as they are written
+   * @param {string} appName - App ID
+   * @param {object} options
+   * @param {string[]} [options.services] - Only follow these compose services
+   * @param {string} [options.since] - Cursor from toLogCursor
+   * @param {number} [options.tail] - Lines of backlog per container when no cursor is given
+   * @param {Function} onLine - Called with ({ service, container, stream, timestamp, message })
+   * @param {Function} onEnd - Called with (container) when a container's log stream ends
+   * @returns {Promise<{ services: string[], close: Function }>}
+   */
+  async followAppLogs(appName, { services = [], since, tail = 200 } = {}, onLine, onEnd = () => {}) {
+    if (!Number.isInteger(tail) || tail < 0 || tail > MAX_LOG_LINES) {
+      throw new ValidationError(`tail must be an integer between 0 and ${MAX_LOG_LINES}`);
+    }
+
+    const streams = [];
+    const close = () => streams.forEach(stream => stream.destroy());
+
+    try {
+      const containers = (await this.getProjectContainers(appName))
+        .filter(info => services.length === 0 || services.includes(info.Labels[SERVICE_LABEL]));
+
+      for (const info of containers) {
+        const container = this.docker.getContainer(info.Id);
+        const name = this.getContainerName(info);
+        const service = info.Labels[SERVICE_LABEL] || name;
+
+        const { Config } = await container.inspect();
+        const stream = await container.logs({
+          follow: true,
+          stdout: true,
+          stderr: true,
+          timestamps: true,
+          ...(since ? { since } : { tail })
+        });
+        streams.push(stream);
+
+        const emitLines = (source, streamName) => {
+          readline.createInterface({ input: source }).on('line', line => {
+            const index = line.indexOf(' ');
+            onLine({
+              service,
+              container: name,
+              stream: streamName,
+              timestamp: line.slice(0, index),
+              message: line.slice(index + 1)
+            });
+          });
+        };
+
+        // Containers with a TTY send raw output, the rest multiplex stdout and stderr
+        if (Config.Tty) {
+          emitLines(stream, 'stdout');
+        } else {
+          const stdout = new PassThrough();
+          const stderr = new PassThrough();
+          this.docker.modem.demuxStream(stream, stdout, stderr);
+          stream.on('end', () => {
+            stdout.end();
+            stderr.end();
+          });
+          emitLines(stdout, 'stdout');
+          emitLines(stderr, 'stderr');
+        }
+
+        stream.on('end', () => onEnd(name));
+      }
+
+      const followed = [...new Set(containers.map(info => info.Labels[SERVICE_LABEL]).filter(Boolean))];
+      return { services: followed, close };
+    } catch (error) {
+      close();
+      throw DockerError.from(error, 'Failed to follow logs');
+    }
+  }
+
+  /**
+   * Get a one-shot resource usage sample for each of an app's running containers
+   */
+  async getAppStats(appName) {
+    return await metrics.timeDockerCommand('stats', async () => {
+      try {
+        const containers = (await this.getProjectContainers(appName))
+          .filter(info => info.State === 'running');
+
+        return await Promise.all(containers.map(info => this.sampleContainer(info)));
+      } catch (error) {
+        throw DockerError.from(error, 'Failed to get stats');
+      }
+    });
+  }
+
+  /**
+   * Get a resource usage sample for every running container of every
+   * Hamnen project, with one container listing for all of them
+   * @returns {Promise<Map<string, object[]>>} Samples keyed by compose project name
+   */
+  async getAllProjectStats() {
+    return await metrics.timeDockerCommand('stats', async () => {
+      let containers;
+      try {
+        containers = await this.docker.listContainers({
+          filters: { label: [PROJECT_LABEL], status: ['running'] }
+        });
+      } catch (error) {
+        throw DockerError.from(error, 'Failed to list containers');
+      }
+
+      const byProject = new Map();
+      await Promise.all(containers.map(async (info) => {
+        const projectName = info.Labels[PROJECT_LABEL];
+        if (!projectName || !projectName.startsWith('hamnen_')) return;
+
+        let sample;
+        try {
+          sample = await this.sampleContainer(info);
+        } catch (error) {
+          // Stopped between the listing and the stats call
+          return;
+        }
+
+        if (!byProject.has(projectName)) {
+          byProject.set(projectName, []);
+        }
+        byProject.get(projectName).push(sample);
+      }));
+
+      return byProject;
+    });
+  }
+
+  /**
+   * One resource usage sample of a container from the Engine's listing
+   */
+  async sampleContainer(info) {
+    const stats = await this.docker.getContainer(info.Id).stats({ stream: false });
+    return {
+      name: this.getContainerName(info),
+      service: info.Labels[SERVICE_LABEL],
+      ...this.summarizeStats(stats)
+    };
+  }
+
+  /**
+   * Reduce a raw Engine stats sample to the numbers we report
+   */
+  summarizeStats(stats) {
+    const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - stats.precpu_stats.cpu_usage.total_usage;
+    const systemDelta = (stats.cpu_stats.system_cpu_usage || 0) - (stats.precpu_stats.system_cpu_usage || 0);
+    const cpuCount = stats.cpu_stats.online_cpus ||
+      (stats.cpu_stats.cpu_usage.percpu_usage || []).length || 1;
+
+    // Page cache counts towards usage but can be reclaimed, `docker stats` leaves it out too
+    const memoryStats = stats.memory_stats || {};
+    const cache = (memoryStats.stats && (memoryStats.stats.inactive_file || memoryStats.stats.cache)) || 0;
+
+    const networks = Object.values(stats.networks || {});
+    const blkio = (stats.blkio_stats && stats.blkio_stats.io_service_bytes_recursive) || [];
+
+    return {
+      cpuPercent: systemDelta > 0 && cpuDelta > 0 ? (cpuDelta / systemDelta) * cpuCount * 100 : 0,
+      memoryUsage: Math.max((memoryStats.usage || 0) - cache, 0),
+      memoryLimit: memoryStats.limit || 0,
+      networkRx: networks.reduce((sum, net) => sum + net.rx_bytes, 0),
+      networkTx: networks.reduce((sum, net) => sum + net.tx_bytes, 0),
+      blockRead: blkio
+        .filter(entry => entry.op.toLowerCase() === 'read')
+        .reduce((sum, entry) => sum + entry.value, 0),
+      blockWrite: blkio
+        .filter(entry => entry.op.toLowerCase() === 'write')
+        .reduce((sum, entry) => sum + entry.value, 0)
+    };
+  }
+
+  /**
+   * CPU count and memory of the Docker host
+   * @returns {Promise<{cpus: number, memoryTotal: number}>}
+   */
+  async getHostInfo() {
+    try {
+      const info = await this.docker.info();
+      return { cpus: info.NCPU, memoryTotal: info.MemTotal };
+    } catch (error) {
+      throw DockerError.from(error, 'Failed to get host info');
+    }
+  }
+
+  /**
+   * Inspect every container of an app
+   */
+  async inspectApp(appName) {
     try {
-      const result = await this.executeDockerCompose(appName, `logs --tail=${lines}`);
-      return result.stdout;
+      const containers = await this.getProjectContainers(appName);
+      return await Promise.all(
+        containers.map(info => this.docker.getContainer(info.Id).inspect())
+      );
     } catch (error) {
-      throw new Error(`Failed to get logs: ${error.message}`);
+      throw DockerError.from(error, 'Failed to inspect containers');
     }
   }
 }
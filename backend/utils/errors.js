@@ -0,0 +1,89 @@
+/**
+ * Base error for failures that map onto an HTTP response
+ */
+class HamnenError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+/**
+ * Invalid input from the client
+ */
+class ValidationError extends HamnenError {
+  constructor(message, details) {
+    super(message, { statusCode: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+/**
+ * The request clashes with the current state, e.g. an operation already in progress
+ */
+class ConflictError extends HamnenError {
+  constructor(message, details) {
+    super(message, { statusCode: 409, code: 'CONFLICT', details });
+  }
+}
+
+/**
+ * Failure talking to the Docker Engine or running docker-compose
+ */
+class DockerError extends HamnenError {
+  constructor(message, { statusCode = 502, code = 'DOCKER_ERROR', details } = {}) {
+    super(message, { statusCode, code, details });
+  }
+
+  /**
+   * Wrap an error from dockerode or a failed compose invocation
+   * @param {Error} error - The original error
+   * @param {string} context - What was being attempted, e.g. "Failed to get logs"
+   */
+  static from(error, context) {
+    if (error instanceof HamnenError) {
+      return error;
+    }
+
+    // dockerode puts the Engine's reply in error.json and the HTTP status in error.statusCode
+    const reason = (error.json && error.json.message) || (error.stderr && error.stderr.trim()) || error.message;
+
+    if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED' || error.code === 'EACCES') {
+      return new DockerError(`${context}: Docker is not reachable (${reason})`, {
+        statusCode: 503,
+        code: 'DOCKER_UNAVAILABLE'
+      });
+    }
+
+    if (error.statusCode === 404) {
+      return new DockerError(`${context}: ${reason}`, { statusCode: 404, code: 'DOCKER_NOT_FOUND' });
+    }
+
+    return new DockerError(`${context}: ${reason}`, {
+      details: error.statusCode ? { engineStatus: error.statusCode } : undefined
+    });
+  }
+}
+
+/**
+ * Send an error as JSON, using the status and code of a HamnenError
+ */
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+}
+
+module.exports = {
+  sendError,
+  HamnenError,
+  ValidationError,
+  ConflictError,
+  DockerError
+};
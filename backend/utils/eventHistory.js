@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const jobManager = require('./jobManager');
+const healthProber = require('./healthProber');
+const statusMonitor = require('./statusMonitor');
+const { ValidationError } = require('./errors');
+
+// Events kept over all apps; older ones are dropped when the file is compacted
+const MAX_EVENTS = Number(process.env.HAMNEN_HISTORY_MAX_EVENTS || 10000);
+// Compact once this many events past MAX_EVENTS have piled up
+const COMPACT_SLACK = 1000;
+
+// Finished jobs that change an app's lifecycle, and the event each becomes
+const JOB_EVENTS = {
+  start: 'started',
+  stop: 'stopped',
+  restart: 'restarted',
+  update: 'updated',
+  backup: 'backed-up',
+  restore: 'restored',
+  'start-service': 'service-started',
+  'stop-service': 'service-stopped',
+  'restart-service': 'service-restarted'
+};
+
+const TYPES = [...Object.values(JOB_EVENTS), 'health-changed', 'crashed'];
+
+/**
+ * What happened to each app and who did it, kept across restarts in
+ * data/history.jsonl, one event per line, oldest first:
+ *
+ *   { id, appId, type, at, outcome, user, scheduleId, message, details }
+ *
+ * Operations become events when their job finishes, with outcome
+ * "succeeded" or "failed" and the user or schedule that asked for them.
+ * Health probes add "health-changed" when an app turns healthy or
+ * unhealthy, and containers that exit with an error on their own add
+ * "crashed"; those have no outcome or user. IDs count up, so a page of
+ * older events is asked for with the ID it should start before.
+ */
+class EventHistory {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.filePath = path.join(this.dataDir, 'history.jsonl');
+    this.events = [];
+    this.nextId = 1;
+    this.health = new Map(); // appId -> last recorded health state
+    this.loaded = null;
+    this.unsubscribe = null;
+    // Serializes appends and compaction so lines are never interleaved
+    this.writeQueue = Promise.resolve();
+
+    this.onJob = job => this.recordJob(job);
+    this.onHealth = update => this.recordHealth(update);
+    this.onCrash = crash => this.recordCrash(crash);
+  }
+
+  /**
+   * Load the history and start recording. Crashes are only seen through
+   * the Docker event stream, so this keeps it open for good.
+   */
+  async start() {
+    await this.load();
+    if (this.unsubscribe) return;
+
+    jobManager.on('job', this.onJob);
+    healthProber.on('health', this.onHealth);
+    statusMonitor.on('crash', this.onCrash);
+    this.unsubscribe = statusMonitor.subscribe(() => {});
+  }
+
+  stop() {
+    if (!this.unsubscribe) return;
+
+    jobManager.off('job', this.onJob);
+    healthProber.off('health', this.onHealth);
+    statusMonitor.off('crash', this.onCrash);
+    this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(content => {
+          for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+              this.events.push(JSON.parse(line));
+            } catch {
+              // A line cut short by a crash mid-write
+            }
+          }
+          if (this.events.length > 0) {
+            this.nextId = this.events[this.events.length - 1].id + 1;
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.warn('Failed to read the event history:', error.message);
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Append an event to the history
+   * @param {object} event - appId, type and any of outcome, user,
+   *   scheduleId, message and details
+   * @returns {Promise<object>} The stored event
+   */
+  async record({ appId, type, outcome = null, user = null, scheduleId = null, message = null, details = {} }) {
+    await this.load();
+
+    const event = {
+      id: this.nextId++,
+      appId,
+      type,
+      at: new Date().toISOString(),
+      outcome,
+      user,
+      scheduleId,
+      message,
+      details
+    };
+    this.events.push(event);
+
+    const compact = this.events.length > MAX_EVENTS + COMPACT_SLACK;
+    if (compact) {
+      this.events = this.events.slice(-MAX_EVENTS);
+    }
+
+    const write = async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      if (compact) {
+        const tmp = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, this.events.map(kept => `${JSON.stringify(kept)}\n`).join(''), { mode: 0o600 });
+        await fs.rename(tmp, this.filePath);
+      } else {
+        await fs.appendFile(this.filePath, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+      }
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    await this.writeQueue;
+    return event;
+  }
+
+  /**
+   * Record an operation once its job has finished
+   */
+  recordJob(job) {
+    const type = JOB_EVENTS[job.type];
+    if (!type || !jobManager.isFinished(job)) return;
+
+    const details = { jobId: job.id };
+    for (const key of ['service', 'mode', 'backupId', 'dependencies']) {
+      if (job[key] !== undefined) details[key] = job[key];
+    }
+    if (job.type === 'update' && job.result) {
+      details.recreated = job.result.recreated;
+      details.images = job.result.changed.map(change => change.image);
+    }
+
+    this.save({
+      appId: job.appId,
+      type,
+      outcome: job.phase === 'completed' ? 'succeeded' : 'failed',
+      user: job.user || null,
+      scheduleId: job.scheduleId || null,
+      message: job.error,
+      details
+    });
+  }
+
+  /**
+   * Record an app turning healthy or unhealthy. The probe's attempts in
+   * between and apps without a healthCheck are left out.
+   */
+  recordHealth({ appId, health }) {
+    if (!health) {
+      this.health.delete(appId);
+      return;
+    }
+    if (!['healthy', 'unhealthy'].includes(health.state) || health.reason) return;
+    if (this.health.get(appId) === health.state) return;
+
+    this.health.set(appId, health.state);
+    this.save({
+      appId,
+      type: 'health-changed',
+      message: health.error || null,
+      details: { health: health.state, url: health.url || null, attempts: health.attempts }
+    });
+  }
+
+  recordCrash({ appId, container, service, exitCode }) {
+    this.save({
+      appId,
+      type: 'crashed',
+      message: `${container} exited with code ${exitCode}`,
+      details: { container, service, exitCode }
+    });
+  }
+
+  /**
+   * Record from an event listener, which has nobody to report a failed write to
+   */
+  save(event) {
+    this.record(event).catch(error => {
+      console.warn('Failed to record an app event:', error.message);
+    });
+  }
+
+  /**
+   * Events newest first
+   * @param {object} [query]
+   * @param {string} [query.appId] - Only this app's events
+   * @param {string[]} [query.types] - Only events of these types
+   * @param {string} [query.user] - Only operations this user asked for
+   * @param {string} [query.since] - ISO time, only events at or after it
+   * @param {string} [query.until] - ISO time, only events before it
+   * @param {number} [query.before] - Only events older than this event ID
+   * @param {number} [query.limit] - Page size
+   * @returns {Promise<{events: object[], nextBefore: number|null}>}
+   *   nextBefore is the value of before for the next page, null on the last
+   */
+  async query({ appId, types, user, since, until, before, limit = 50 } = {}) {
+    await this.load();
+
+    const unknown = (types || []).filter(type => !TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown event type ${unknown.join(', ')}, expected one of ${TYPES.join(', ')}`);
+    }
+
+    const matches = event => (
+      (!appId || event.appId === appId) &&
+      (!types || types.includes(event.type)) &&
+      (!user || event.user === user) &&
+      (!since || event.at >= since) &&
+      (!until || event.at < until)
+    );
+
+    const events = [];
+    let nextBefore = null;
+    for (let index = this.events.length - 1; index >= 0; index--) {
+      const event = this.events[index];
+      if (before && event.id >= before) continue;
+      if (since && event.at < since) break;
+      if (!matches(event)) continue;
+
+      if (events.length === limit) {
+        nextBefore = events[events.length - 1].id;
+        break;
+      }
+      events.push(event);
+    }
+
+    return { events, nextBefore };
+  }
+}
+
+module.exports = new EventHistory();
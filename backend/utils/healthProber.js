@@ -0,0 +1,212 @@
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+
+const DEFAULTS = {
+  timeout: 5000,
+  retries: 60,
+  interval: 2000,
+  expectedStatus: null,
+  expectedBody: null
+};
+
+// Only read this much of a response when looking for expectedBody
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Polls an app's declared healthCheck after launch and tracks its
+ * readiness as starting -> healthy | unhealthy.
+ *
+ * Emits:
+ *   - "health" ({ appId, health }) whenever an app's health changes
+ */
+class HealthProber extends EventEmitter {
+  constructor() {
+    super();
+    // Ports published by apps live on the Docker host, which is not
+    // "localhost" when the backend itself runs in a container
+    this.hostAddress = process.env.HAMNEN_HOST_ADDRESS || null;
+    this.states = new Map(); // appId -> health state
+    this.probes = new Map(); // appId -> { cancelled }
+  }
+
+  /**
+   * Normalize the description.json healthCheck field, which is either a
+   * URL string or an object with a url and probe options
+   */
+  normalizeHealthCheck(healthCheck) {
+    if (!healthCheck) return null;
+
+    const options = typeof healthCheck === 'string'
+      ? { ...DEFAULTS, url: healthCheck }
+      : { ...DEFAULTS, ...healthCheck };
+
+    const url = new URL(options.url);
+    if (this.hostAddress && ['localhost', '127.0.0.1'].includes(url.hostname)) {
+      url.hostname = this.hostAddress;
+    }
+
+    return { ...options, url: url.toString() };
+  }
+
+  /**
+   * Current health of an app, or null if it has not been probed
+   */
+  getHealth(appId) {
+    return this.states.get(appId) || null;
+  }
+
+  /**
+   * Store and broadcast an app's health
+   */
+  setHealth(appId, health) {
+    this.states.set(appId, health);
+    this.emit('health', { appId, health });
+  }
+
+  /**
+   * Forget an app's health, e.g. after it was stopped
+   */
+  clear(appId) {
+    this.cancel(appId);
+    if (this.states.delete(appId)) {
+      this.emit('health', { appId, health: null });
+    }
+  }
+
+  /**
+   * Abort a running probe loop for an app
+   */
+  cancel(appId) {
+    const probe = this.probes.get(appId);
+    if (probe) {
+      probe.cancelled = true;
+      probe.wake();
+      this.probes.delete(appId);
+    }
+  }
+
+  /**
+   * Poll an app's healthCheck until it passes or retries run out
+   * @param {object} app - App as returned by appLoader
+   * @returns {Promise<object|null>} The final health state, null when the
+   *   probe was cancelled
+   */
+  async probe(app) {
+    this.cancel(app.id);
+
+    const startedAt = new Date().toISOString();
+
+    let check;
+    try {
+      check = this.normalizeHealthCheck(app.healthCheck);
+    } catch (error) {
+      const health = { state: 'unhealthy', startedAt, checkedAt: startedAt, attempts: 0, error: `Invalid healthCheck: ${error.message}` };
+      this.setHealth(app.id, health);
+      return health;
+    }
+
+    if (!check) {
+      const health = { state: 'healthy', startedAt, checkedAt: startedAt, attempts: 0, reason: 'No healthCheck declared' };
+      this.setHealth(app.id, health);
+      return health;
+    }
+
+    // wake cuts the wait between attempts short when the probe is cancelled
+    const probe = { cancelled: false, wake: () => {} };
+    this.probes.set(app.id, probe);
+    this.setHealth(app.id, { state: 'starting', startedAt, attempts: 0, url: check.url });
+
+    for (let attempt = 1; attempt <= check.retries; attempt++) {
+      const result = await this.checkOnce(check);
+      if (probe.cancelled) return null;
+
+      const health = {
+        state: result.ok ? 'healthy' : 'starting',
+        startedAt,
+        checkedAt: new Date().toISOString(),
+        attempts: attempt,
+        url: check.url,
+        statusCode: result.statusCode,
+        error: result.error
+      };
+
+      if (result.ok) {
+        this.probes.delete(app.id);
+        this.setHealth(app.id, health);
+        return health;
+      }
+
+      if (attempt === check.retries) {
+        this.probes.delete(app.id);
+        this.setHealth(app.id, { ...health, state: 'unhealthy' });
+        return this.getHealth(app.id);
+      }
+
+      this.setHealth(app.id, health);
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, check.interval);
+        probe.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      if (probe.cancelled) return null;
+    }
+
+    return this.getHealth(app.id);
+  }
+
+  /**
+   * Make a single health check request
+   * @returns {Promise<{ok: boolean, statusCode?: number, error?: string}>}
+   */
+  checkOnce(check) {
+    return new Promise((resolve) => {
+      const client = check.url.startsWith('https:') ? https : http;
+      const req = client.get(check.url, {
+        timeout: check.timeout,
+        // Self-signed certificates are the norm for self-hosted apps
+        rejectUnauthorized: false
+      }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          if (body.length < MAX_BODY_BYTES) body += chunk;
+        });
+        res.on('end', () => {
+          resolve(this.evaluate(check, res.statusCode, body));
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`Timed out after ${check.timeout}ms`));
+      });
+
+      req.on('error', (error) => {
+        resolve({ ok: false, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Decide whether a response passes the check. Without an expectedStatus,
+   * any response below 500 means the app is up and answering.
+   */
+  evaluate(check, statusCode, body) {
+    const expected = check.expectedStatus === null ? null : [].concat(check.expectedStatus);
+    const statusOk = expected ? expected.includes(statusCode) : statusCode < 500;
+
+    if (!statusOk) {
+      return { ok: false, statusCode, error: `Unexpected status ${statusCode}` };
+    }
+
+    if (check.expectedBody && !body.includes(check.expectedBody)) {
+      return { ok: false, statusCode, error: 'Response body did not contain the expected text' };
+    }
+
+    return { ok: true, statusCode };
+  }
+}
+
+module.exports = new HealthProber();
@@ -0,0 +1,192 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { ConflictError } = require('./errors');
+
+// Finished jobs stay queryable for an hour
+const JOB_TTL = 60 * 60 * 1000;
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+const FINISHED_PHASES = new Set(['completed', 'failed']);
+
+/**
+ * Tracks long running app operations (start, stop, restart, pull) so the
+ * HTTP request can return immediately with a job ID.
+ *
+ * Emits:
+ *   - "job" (job) whenever a job's phase or progress changes
+ */
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Whether a job has reached a final phase
+   */
+  isFinished(job) {
+    return FINISHED_PHASES.has(job.phase);
+  }
+
+  /**
+   * The unfinished job for an app, if any
+   */
+  findActiveJob(appId) {
+    for (const job of this.jobs.values()) {
+      if (job.appId === appId && !this.isFinished(job)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create a job and run it in the background
+   * @param {string} type - Operation name, e.g. "start"
+   * @param {string} appId - App the job operates on
+   * @param {Function} run - async (context) => result, see createContext
+   * @param {object} [meta] - Extra fields to record on the job, e.g. { service }
+   * @param {object} [options]
+   * @param {boolean} [options.queue] - Wait for the app's active job to
+   *   finish instead of refusing with 409
+   * @returns {object} The new job
+   */
+  create(type, appId, run, meta = {}, { queue = false } = {}) {
+    const active = this.findActiveJob(appId);
+    if (active && !queue) {
+      throw new ConflictError(
+        `A ${active.type} job is already running for ${appId}`,
+        { jobId: active.id }
+      );
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      appId,
+      ...meta,
+      phase: 'queued',
+      message: active ? `Waiting for the ${active.type} job to finish` : null,
+      progress: { percent: null, images: {} },
+      result: null,
+      error: null,
+      code: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.emit('job', job);
+
+    // Let the caller respond before any work starts
+    setImmediate(async () => {
+      if (active) await this.waitFor(active);
+      this.execute(job, run);
+    });
+
+    return job;
+  }
+
+  /**
+   * Run a job's work function and record its outcome
+   */
+  async execute(job, run) {
+    try {
+      const result = await run(this.createContext(job));
+      this.update(job, { phase: 'completed', result: result || null, finishedAt: new Date().toISOString() });
+    } catch (error) {
+      this.update(job, {
+        phase: 'failed',
+        error: error.message,
+        code: error.code,
+        finishedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Helpers handed to a job's work function
+   */
+  createContext(job) {
+    return {
+      job,
+      setPhase: (phase, message = null) => {
+        this.update(job, { phase, message });
+      },
+      setImageProgress: (image, progress) => {
+        job.progress.images[image] = progress;
+        job.progress.percent = this.overallPercent(job.progress.images);
+        this.update(job, {});
+      }
+    };
+  }
+
+  /**
+   * Average completion across all images being pulled
+   */
+  overallPercent(images) {
+    const values = Object.values(images);
+    if (values.length === 0) return null;
+    const total = values.reduce((sum, image) => sum + (image.percent || 0), 0);
+    return Math.round(total / values.length);
+  }
+
+  /**
+   * Apply changes to a job and broadcast it
+   */
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit('job', job);
+  }
+
+  /**
+   * Look up a job by ID
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Resolves with the job once it has finished, whether it completed or failed
+   */
+  waitFor(job) {
+    if (this.isFinished(job)) return Promise.resolve(job);
+
+    return new Promise(resolve => {
+      const onJob = (changed) => {
+        if (changed.id !== job.id || !this.isFinished(changed)) return;
+        this.off('job', onJob);
+        resolve(changed);
+      };
+      this.on('job', onJob);
+    });
+  }
+
+  /**
+   * List jobs, newest first, optionally for one app
+   */
+  list(appId) {
+    return [...this.jobs.values()]
+      .filter(job => !appId || job.appId === appId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Drop finished jobs older than JOB_TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - JOB_TTL;
+    for (const [id, job] of this.jobs) {
+      if (this.isFinished(job) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = new JobManager();
@@ -0,0 +1,147 @@
+const client = require('prom-client');
+const jobManager = require('./jobManager');
+const healthProber = require('./healthProber');
+
+const APP_STATES = ['running', 'partial', 'stopped', 'unknown'];
+const HEALTH_STATES = ['starting', 'healthy', 'unhealthy'];
+
+/**
+ * Prometheus metrics about Hamnen itself, served at GET /metrics.
+ *
+ * Operation and health check results are counted from the job and health
+ * events as they happen; app states are filled in on every scrape, see
+ * setAppStates. Apps are labelled with their ID and category.
+ */
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: 'hamnen_' });
+
+    this.appState = new client.Gauge({
+      name: 'hamnen_app_state',
+      help: 'Whether the app is in the state, one series per state',
+      labelNames: ['app', 'category', 'state'],
+      registers: [this.registry]
+    });
+    this.appHealth = new client.Gauge({
+      name: 'hamnen_app_health',
+      help: 'Whether the app\'s health check is in the state, for apps that were probed',
+      labelNames: ['app', 'category', 'state'],
+      registers: [this.registry]
+    });
+    this.operations = new client.Counter({
+      name: 'hamnen_operations_total',
+      help: 'Finished start, stop, restart, pull and service jobs',
+      labelNames: ['app', 'category', 'operation', 'result'],
+      registers: [this.registry]
+    });
+    this.operationDuration = new client.Histogram({
+      name: 'hamnen_operation_duration_seconds',
+      help: 'Time from queueing a job until it finished, including image pulls and health checks',
+      labelNames: ['operation', 'result'],
+      buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+      registers: [this.registry]
+    });
+    this.healthChecks = new client.Counter({
+      name: 'hamnen_health_checks_total',
+      help: 'Health check outcomes after a launch',
+      labelNames: ['app', 'category', 'result'],
+      registers: [this.registry]
+    });
+    this.dockerDuration = new client.Histogram({
+      name: 'hamnen_docker_command_duration_seconds',
+      help: 'Latency of docker-compose commands and Docker Engine API operations',
+      labelNames: ['command'],
+      buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+      registers: [this.registry]
+    });
+    this.dockerErrors = new client.Counter({
+      name: 'hamnen_docker_command_errors_total',
+      help: 'docker-compose commands and Docker Engine API operations that failed',
+      labelNames: ['command'],
+      registers: [this.registry]
+    });
+
+    jobManager.on('job', job => this.recordJob(job));
+    healthProber.on('health', ({ appId, health }) => this.recordHealth(appId, health));
+  }
+
+  /**
+   * Labels identifying an app; apps outside a category get an empty one
+   */
+  appLabels(appId) {
+    const parts = appId.split('/');
+    return { app: appId, category: parts.length > 1 ? parts[0] : '' };
+  }
+
+  recordJob(job) {
+    if (!jobManager.isFinished(job)) return;
+
+    const result = job.phase;
+    this.operations.inc({ ...this.appLabels(job.appId), operation: job.type, result });
+    this.operationDuration.observe(
+      { operation: job.type, result },
+      (Date.parse(job.finishedAt) - Date.parse(job.createdAt)) / 1000
+    );
+  }
+
+  recordHealth(appId, health) {
+    if (!health || !['healthy', 'unhealthy'].includes(health.state)) return;
+    this.healthChecks.inc({ ...this.appLabels(appId), result: health.state });
+  }
+
+  /**
+   * Time a docker-compose command or Engine API operation and count it if
+   * it fails
+   * @param {string} command - e.g. "up" or "logs"
+   * @param {Function} run - async () => result
+   */
+  async timeDockerCommand(command, run) {
+    const end = this.dockerDuration.startTimer({ command });
+    try {
+      return await run();
+    } catch (error) {
+      this.countDockerError(command);
+      throw error;
+    } finally {
+      end();
+    }
+  }
+
+  /**
+   * Count a failed operation that is reported without throwing
+   */
+  countDockerError(command) {
+    this.dockerErrors.inc({ command });
+  }
+
+  /**
+   * Replace the app state and health gauges
+   * @param {Array<{id: string, status: string, health: object|null}>} apps
+   */
+  setAppStates(apps) {
+    this.appState.reset();
+    this.appHealth.reset();
+
+    for (const app of apps) {
+      const labels = this.appLabels(app.id);
+      for (const state of APP_STATES) {
+        this.appState.set({ ...labels, state }, app.status === state ? 1 : 0);
+      }
+      if (app.health) {
+        for (const state of HEALTH_STATES) {
+          this.appHealth.set({ ...labels, state }, app.health.state === state ? 1 : 0);
+        }
+      }
+    }
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   */
+  async render() {
+    return await this.registry.metrics();
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,139 @@
+const appLoader = require('./appLoader');
+const dockerManager = require('./docker');
+const { HamnenError } = require('./errors');
+
+/**
+ * The shared networks catalog apps join (external networks in their
+ * compose files, normally hamnen-network): which exist, how they are set
+ * up and which apps are attached to them.
+ */
+class NetworkManager {
+  /**
+   * Every external network the catalog uses, with the apps that use it
+   * @returns {Promise<Map<string, string[]>>} Network name -> app IDs
+   */
+  async getRequiredNetworks() {
+    const apps = await appLoader.loadApps();
+    const required = new Map();
+
+    for (const app of apps) {
+      for (const name of app.composeInfo.networks || []) {
+        if (!required.has(name)) required.set(name, []);
+        required.get(name).push(app.id);
+      }
+    }
+    return required;
+  }
+
+  /**
+   * What is wrong with an existing network for apps to share it: apps
+   * on one host need a bridge with a way out
+   */
+  findIssues(info) {
+    const issues = [];
+    if (info.Driver !== 'bridge') {
+      issues.push({
+        code: 'NETWORK_DRIVER',
+        message: `uses the ${info.Driver} driver instead of bridge`
+      });
+    }
+    if (info.Internal) {
+      issues.push({
+        code: 'NETWORK_INTERNAL',
+        message: 'is internal, so apps on it cannot reach the internet'
+      });
+    }
+    return issues;
+  }
+
+  /**
+   * Status of one network and the apps attached to it
+   * @param {string} name - Network name
+   * @param {string[]} appIds - Apps whose compose files use the network
+   */
+  async describe(name, appIds) {
+    const info = await dockerManager.inspectNetwork(name);
+    const containers = info ? await dockerManager.listNetworkContainers(name) : [];
+    const projects = new Map(appIds.map(appId => [dockerManager.getProjectName(appId), appId]));
+
+    const apps = appIds.map(appId => {
+      const attached = containers.filter(container => projects.get(container.project) === appId);
+      return {
+        appId,
+        attached: attached.some(container => container.state === 'running'),
+        containers: attached.map(container => container.name)
+      };
+    });
+
+    return {
+      name,
+      exists: Boolean(info),
+      driver: info ? info.Driver : null,
+      internal: info ? Boolean(info.Internal) : null,
+      managed: info ? dockerManager.isManagedNetwork(info) : false,
+      issues: info
+        ? this.findIssues(info)
+        : [{ code: 'NETWORK_MISSING', message: 'does not exist; it is created when an app using it is launched' }],
+      apps,
+      // Containers that are not one of the catalog's apps
+      otherContainers: containers
+        .filter(container => !projects.has(container.project))
+        .map(container => container.name)
+    };
+  }
+
+  /**
+   * Every network the catalog uses
+   */
+  async listNetworks() {
+    const required = await this.getRequiredNetworks();
+    const networks = [];
+    for (const [name, appIds] of required) {
+      networks.push(await this.describe(name, appIds));
+    }
+    return networks;
+  }
+
+  /**
+   * Create a missing network, or recreate a misconfigured one. Containers
+   * must be detached first, so a network in use is refused.
+   * @returns {Promise<{action: 'created'|'recreated'|'none', network: object}>}
+   */
+  async repair(name) {
+    const required = await this.getRequiredNetworks();
+    if (!required.has(name)) {
+      throw new HamnenError(`No app in the catalog uses network ${name}`, {
+        statusCode: 404,
+        code: 'NETWORK_NOT_FOUND'
+      });
+    }
+
+    const before = await this.describe(name, required.get(name));
+    let action = 'none';
+
+    if (!before.exists) {
+      await dockerManager.createNetwork(name);
+      action = 'created';
+    } else if (before.issues.length > 0) {
+      const inUse = [
+        ...before.apps.flatMap(app => app.containers),
+        ...before.otherContainers
+      ];
+      if (inUse.length > 0) {
+        throw new HamnenError(`Network ${name} still has containers attached; stop them before repairing it`, {
+          statusCode: 409,
+          code: 'NETWORK_IN_USE',
+          details: { containers: inUse }
+        });
+      }
+
+      await dockerManager.removeNetwork(name);
+      await dockerManager.createNetwork(name);
+      action = 'recreated';
+    }
+
+    return { action, network: await this.describe(name, required.get(name)) };
+  }
+}
+
+module.exports = new NetworkManager();
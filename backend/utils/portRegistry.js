@@ -0,0 +1,191 @@
+const net = require('net');
+const appLoader = require('./appLoader');
+const dockerManager = require('./docker');
+const { HamnenError } = require('./errors');
+
+// How long to wait for a connection when checking whether a port is taken
+const PROBE_TIMEOUT = 1000;
+
+// Host addresses that bind every interface
+const WILDCARD_IPS = new Set([null, '', '0.0.0.0', '::']);
+
+/**
+ * Knows which host ports each app publishes, and finds clashes between
+ * apps in the catalog (statically) or with whatever already listens on
+ * the host (at launch).
+ */
+class PortRegistry {
+  constructor() {
+    // Published ports live on the Docker host, which is not "localhost"
+    // when the backend itself runs in a container
+    this.hostAddress = process.env.HAMNEN_HOST_ADDRESS || '127.0.0.1';
+  }
+
+  /**
+   * Host ports an app publishes, one entry per port and protocol
+   */
+  getPublishedPorts(app) {
+    return ((app.composeInfo && app.composeInfo.ports) || []).map(port => ({
+      port: Number(port.host),
+      protocol: port.protocol || 'tcp',
+      hostIp: port.hostIp || null,
+      service: port.service
+    }));
+  }
+
+  /**
+   * Whether two bindings of the same port would collide
+   */
+  overlaps(a, b) {
+    return a.port === b.port &&
+      a.protocol === b.protocol &&
+      (WILDCARD_IPS.has(a.hostIp) || WILDCARD_IPS.has(b.hostIp) || a.hostIp === b.hostIp);
+  }
+
+  /**
+   * Ports claimed by more than one app in the catalog. Such apps can exist
+   * side by side, they just cannot run at the same time.
+   * @param {object[]} [apps] - Loaded apps, defaults to the whole catalog
+   * @returns {Promise<Array<{port, protocol, apps: Array<{appId, service}>}>>}
+   */
+  async findCatalogConflicts(apps) {
+    const catalog = apps || await appLoader.loadApps();
+    const byPort = new Map();
+
+    for (const app of catalog) {
+      for (const binding of this.getPublishedPorts(app)) {
+        const key = `${binding.port}/${binding.protocol}`;
+        if (!byPort.has(key)) byPort.set(key, []);
+        byPort.get(key).push({ appId: app.id, ...binding });
+      }
+    }
+
+    const conflicts = [];
+    for (const bindings of byPort.values()) {
+      const users = bindings.filter(binding =>
+        bindings.some(other => other.appId !== binding.appId && this.overlaps(binding, other))
+      );
+      if (users.length === 0) continue;
+
+      conflicts.push({
+        port: users[0].port,
+        protocol: users[0].protocol,
+        apps: users.map(({ appId, service }) => ({ appId, service }))
+      });
+    }
+
+    return conflicts.sort((a, b) => a.port - b.port);
+  }
+
+  /**
+   * Ports currently published by running containers, with the app that
+   * holds them where it is one of ours
+   */
+  async getBoundPorts() {
+    const [published, projects] = await Promise.all([
+      dockerManager.listPublishedPorts(),
+      this.getProjectMap()
+    ]);
+
+    return published.map(binding => ({
+      ...binding,
+      appId: (binding.project && projects.get(binding.project)) || null
+    }));
+  }
+
+  /**
+   * Compose project name -> app ID for every app in the catalog
+   */
+  async getProjectMap() {
+    const apps = await appLoader.loadApps();
+    return new Map(apps.map(app => [dockerManager.getProjectName(app.id), app.id]));
+  }
+
+  /**
+   * Whether something accepts TCP connections on a host port
+   */
+  isListening(port, host = this.hostAddress) {
+    return new Promise(resolve => {
+      const socket = net.connect({ port, host });
+      const done = (listening) => {
+        socket.destroy();
+        resolve(listening);
+      };
+      socket.setTimeout(PROBE_TIMEOUT, () => done(false));
+      socket.once('connect', () => done(true));
+      socket.once('error', () => done(false));
+    });
+  }
+
+  /**
+   * Find the app's ports that are already taken by another app's
+   * containers, another container or a process on the host
+   * @returns {Promise<Array<{port, protocol, service, usedBy}>>}
+   */
+  async findLaunchConflicts(app) {
+    const ownProject = dockerManager.getProjectName(app.id);
+    const bound = await this.getBoundPorts();
+    const conflicts = [];
+
+    for (const binding of this.getPublishedPorts(app)) {
+      const holders = bound.filter(other => this.overlaps(binding, other));
+
+      // The app's own containers (e.g. a partially running app) don't count
+      if (holders.some(holder => holder.project === ownProject)) continue;
+
+      const holder = holders[0];
+      if (holder) {
+        conflicts.push({
+          ...binding,
+          usedBy: holder.appId
+            ? { type: 'app', appId: holder.appId, container: holder.container }
+            : { type: 'container', container: holder.container }
+        });
+        continue;
+      }
+
+      // Not Docker, but something else on the host may listen there. Only
+      // TCP can be probed without side effects.
+      if (binding.protocol === 'tcp' && await this.isListening(binding.port)) {
+        conflicts.push({ ...binding, usedBy: { type: 'process' } });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Describe who holds a port, for error messages
+   */
+  describeHolder(usedBy) {
+    switch (usedBy.type) {
+      case 'app':
+        return usedBy.appId;
+      case 'container':
+        return `container ${usedBy.container}`;
+      default:
+        return 'another process on the host';
+    }
+  }
+
+  /**
+   * Refuse to launch an app whose ports are already taken
+   * @throws {HamnenError} 409 PORT_CONFLICT listing every clash
+   */
+  async assertPortsFree(app) {
+    const conflicts = await this.findLaunchConflicts(app);
+    if (conflicts.length === 0) return;
+
+    const summary = conflicts
+      .map(conflict => `${conflict.port}/${conflict.protocol} is used by ${this.describeHolder(conflict.usedBy)}`)
+      .join(', ');
+
+    throw new HamnenError(`Cannot start ${app.id}: port ${summary}`, {
+      statusCode: 409,
+      code: 'PORT_CONFLICT',
+      details: { conflicts }
+    });
+  }
+}
+
+module.exports = new PortRegistry();
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const appLoader = require('./appLoader');
+const settingsStore = require('./settingsStore');
+const { HamnenError } = require('./errors');
+
+// The catalog apps that can route <app>.<baseDomain> to each app
+const PROXY_APPS = {
+  traefik: 'network/traefik',
+  caddy: 'network/caddy'
+};
+
+// Traefik reaches app containers over the network they share with it
+const SHARED_NETWORK = 'hamnen-network';
+
+// Caddy reaches apps through the ports they publish on the Docker host
+const CADDY_UPSTREAM_HOST = 'host.docker.internal';
+
+const CADDY_ADMIN_PORT = '2019';
+
+/**
+ * Optional routing layer: serves each app at <app>.<baseDomain> through
+ * the Traefik or Caddy app from the catalog, chosen in the global
+ * settings. Traefik is configured with labels added to the app's main
+ * service through a generated compose override in data/proxy; Caddy is
+ * sent a Caddyfile for all apps through its admin API.
+ */
+class ProxyManager {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.dir = path.join(this.dataDir, 'proxy');
+    // Where the backend reaches ports published on the Docker host
+    this.hostAddress = process.env.HAMNEN_HOST_ADDRESS || 'localhost';
+  }
+
+  overridePath(appId) {
+    return path.join(this.dir, `${appId}.yml`);
+  }
+
+  /**
+   * The proxy in use, null when routing is off or no base domain is set
+   * @returns {Promise<{proxy: string, baseDomain: string}|null>}
+   */
+  async getConfig() {
+    const { proxy, baseDomain } = await settingsStore.get();
+    if (!PROXY_APPS[proxy] || !baseDomain) return null;
+    return { proxy, baseDomain };
+  }
+
+  /**
+   * Whether an app is one of the proxies that can do the routing
+   */
+  isProxyApp(appId) {
+    return Object.values(PROXY_APPS).includes(appId);
+  }
+
+  /**
+   * How the proxy reaches an app, null if it cannot be routed: it needs a
+   * published main port, and with Traefik the shared network
+   * @returns {object|null} { host, service, containerPort, hostPort }
+   */
+  getRoute(app, config) {
+    if (!config || !app.port || app.id === PROXY_APPS[config.proxy]) return null;
+
+    const mapping = app.composeInfo.ports.find(port => Number(port.host) === app.port && port.protocol !== 'udp');
+    if (!mapping) return null;
+    if (config.proxy === 'traefik' && !(app.composeInfo.networks || []).includes(SHARED_NETWORK)) return null;
+
+    return {
+      host: `${app.id.split('/').pop()}.${config.baseDomain}`,
+      service: mapping.service,
+      containerPort: mapping.container,
+      hostPort: mapping.host
+    };
+  }
+
+  /**
+   * The host port of the proxy app that publishes a container port
+   */
+  async getProxyPort(proxy, containerPort) {
+    const proxyApp = await appLoader.findAppById(PROXY_APPS[proxy]);
+    if (!proxyApp) return null;
+    const mapping = proxyApp.composeInfo.ports.find(port => port.container === containerPort);
+    return mapping ? Number(mapping.host) : null;
+  }
+
+  /**
+   * A function giving each app's URL through the proxy, or null for apps
+   * that are not routed. Settings are read once, so it suits a whole
+   * list of apps.
+   * @returns {Promise<Function>} app => string|null
+   */
+  async getUrlResolver() {
+    const config = await this.getConfig();
+    if (!config) return () => null;
+
+    const entryPort = await this.getProxyPort(config.proxy, '80');
+    const portSuffix = entryPort && entryPort !== 80 ? `:${entryPort}` : '';
+
+    return (app) => {
+      const route = this.getRoute(app, config);
+      return route ? `http://${route.host}${portSuffix}${app.path || '/'}` : null;
+    };
+  }
+
+  /**
+   * Traefik labels routing <app>.<baseDomain> to the app's main service
+   */
+  getTraefikLabels(app, route) {
+    const name = `hamnen-${app.id.replace(/\//g, '-')}`;
+    return {
+      'traefik.enable': 'true',
+      'traefik.docker.network': SHARED_NETWORK,
+      [`traefik.http.routers.${name}.rule`]: `Host(\`${route.host}\`)`,
+      [`traefik.http.routers.${name}.entrypoints`]: 'web',
+      [`traefik.http.services.${name}.loadbalancer.server.port`]: route.containerPort
+    };
+  }
+
+  /**
+   * Write the compose override with the app's Traefik labels, or remove
+   * it when the app is not routed through Traefik
+   * @returns {Promise<string|null>} Path of the override to pass to compose
+   */
+  async getComposeOverride(appId) {
+    const filePath = this.overridePath(appId);
+    const config = await this.getConfig();
+    const app = config && config.proxy === 'traefik' ? await appLoader.findAppById(appId) : null;
+    const route = app ? this.getRoute(app, config) : null;
+
+    if (!route) {
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+
+    const override = {
+      services: { [route.service]: { labels: this.getTraefikLabels(app, route) } }
+    };
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `# Generated by Hamnen, routing of ${appId}\n${yaml.dump(override)}`);
+    return filePath;
+  }
+
+  /**
+   * Caddyfile serving every routable app at its hostname
+   */
+  buildCaddyfile(apps, config) {
+    const sites = apps
+      .map(app => ({ app, route: this.getRoute(app, config) }))
+      .filter(({ route }) => route)
+      .map(({ app, route }) => [
+        `# ${app.id}`,
+        `http://${route.host} {`,
+        `\treverse_proxy ${CADDY_UPSTREAM_HOST}:${route.hostPort}`,
+        '}'
+      ].join('\n'));
+
+    // Loading a config replaces the admin settings too, so keep the API
+    // listening where the compose file put it
+    const global = ['{', `\tadmin :${CADDY_ADMIN_PORT}`, '\tauto_https off', '}'].join('\n');
+    return `${[global, ...sites].join('\n\n')}\n`;
+  }
+
+  /**
+   * Send Caddy the routes of every app. Only does something when Caddy is
+   * the selected proxy.
+   * @returns {Promise<{synced: boolean, routes: number}>}
+   */
+  async syncCaddy() {
+    const config = await this.getConfig();
+    if (!config || config.proxy !== 'caddy') return { synced: false, routes: 0 };
+
+    const apps = await appLoader.loadApps();
+    const adminPort = await this.getProxyPort('caddy', CADDY_ADMIN_PORT);
+    if (!adminPort) {
+      throw new HamnenError('The Caddy app does not publish its admin API', { statusCode: 502, code: 'PROXY_UNREACHABLE' });
+    }
+
+    let response;
+    try {
+      response = await fetch(`http://${this.hostAddress}:${adminPort}/load`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/caddyfile' },
+        body: this.buildCaddyfile(apps, config)
+      });
+    } catch (error) {
+      throw new HamnenError(`Caddy is not reachable, is it running? ${error.message}`, {
+        statusCode: 502,
+        code: 'PROXY_UNREACHABLE'
+      });
+    }
+    if (!response.ok) {
+      throw new HamnenError(`Caddy rejected the routes: ${(await response.text()).trim()}`, {
+        statusCode: 502,
+        code: 'PROXY_REJECTED'
+      });
+    }
+
+    return { synced: true, routes: apps.filter(app => this.getRoute(app, config)).length };
+  }
+
+  /**
+   * Every app with how it is routed, for the routing view
+   */
+  async listRoutes() {
+    const config = await this.getConfig();
+    const apps = await appLoader.loadApps();
+    const resolve = await this.getUrlResolver();
+
+    return {
+      proxy: config ? config.proxy : null,
+      proxyApp: config ? PROXY_APPS[config.proxy] : null,
+      baseDomain: config ? config.baseDomain : null,
+      routes: apps.map(app => {
+        const route = this.getRoute(app, config);
+        return { appId: app.id, host: route ? route.host : null, url: resolve(app) };
+      })
+    };
+  }
+}
+
+module.exports = new ProxyManager();
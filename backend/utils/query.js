@@ -0,0 +1,53 @@
+const { ValidationError } = require('./errors');
+
+// Largest page any list endpoint returns
+const MAX_LIMIT = 500;
+
+/**
+ * Parse the page size of a list endpoint
+ * @param {string} [value] - The limit query parameter
+ * @param {number} defaultLimit - Used when it is left out
+ */
+function parseLimit(value, defaultLimit) {
+  const limit = value === undefined ? defaultLimit : Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+/**
+ * Parse the cursor of a list paged by increasing integer IDs
+ * @param {string} [value] - The before query parameter
+ * @param {string} description - What it refers to, e.g. "an event ID"
+ * @returns {number|undefined}
+ */
+function parseBefore(value, description) {
+  if (value === undefined) return undefined;
+  const before = Number(value);
+  if (!Number.isInteger(before) || before < 1) {
+    throw new ValidationError(`before must be ${description}`);
+  }
+  return before;
+}
+
+/**
+ * Parse a time filter into an ISO 8601 string that compares as text
+ * @param {string} [value] - Any time Date understands
+ * @param {string} name - Query parameter name, for the error
+ * @returns {string|undefined}
+ */
+function parseTime(value, name) {
+  if (value === undefined) return undefined;
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new ValidationError(`${name} must be an ISO 8601 time`);
+  }
+  return time.toISOString();
+}
+
+module.exports = {
+  parseLimit,
+  parseBefore,
+  parseTime
+};
@@ -0,0 +1,440 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const appLoader = require('./appLoader');
+const appOperations = require('./appOperations');
+const dockerManager = require('./docker');
+const jobManager = require('./jobManager');
+const settingsStore = require('./settingsStore');
+const { HamnenError, ValidationError, ConflictError, DockerError } = require('./errors');
+
+// What a schedule can do, each as the operation an operator would start.
+// requester is { user, scheduleId } for the job, see appOperations.start
+const ACTIONS = {
+  start: (schedule, requester) => appOperations.start(schedule.appId, { withDependencies: true, ...requester }),
+  stop: (schedule, requester) => appOperations.stop(schedule.appId, requester),
+  restart: (schedule, requester) => appOperations.restart(schedule.appId, requester),
+  backup: (schedule, requester) => appOperations.backup(schedule.appId, { mode: schedule.options.mode, ...requester }),
+  update: (schedule, requester) => appOperations.update(schedule.appId, requester)
+};
+
+// Actions with nothing to do while the app is in this state
+const SKIP_WHEN = {
+  start: 'running',
+  stop: 'stopped',
+  restart: 'stopped'
+};
+
+const MISSED_RUNS = ['run', 'skip'];
+
+// The timer wakes up at least this often, so a changed timezone or a
+// clock jump is noticed before the next run is due
+const MAX_DELAY = 60 * 1000;
+// A run found this late was missed while the backend was down
+const MISSED_AFTER = 2 * 60 * 1000;
+// Runs kept in the history over all schedules
+const HISTORY_LIMIT = 500;
+
+/**
+ * Cron schedules for app actions: "stop stable-diffusion-webui at 01:00",
+ * "back up vaultwarden every 6 hours". Kept in data/schedules.json:
+ *
+ *   { id, name, appId, action, cron, options, enabled, missedRuns,
+ *     createdAt, updatedAt, lastScheduledAt }
+ *
+ * Cron expressions have five fields and follow the timezone in the global
+ * settings. lastScheduledAt is the newest occurrence that was handled; an
+ * occurrence found more than MISSED_AFTER late, because the backend was
+ * down at the time, is run once on startup or only recorded as missed,
+ * as missedRuns says. Every run ends up in data/schedule-history.json,
+ * newest first, with its outcome: completed, failed, skipped or missed.
+ */
+class Scheduler {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.filePath = path.join(this.dataDir, 'schedules.json');
+    this.historyPath = path.join(this.dataDir, 'schedule-history.json');
+    this.timer = null;
+    this.active = false;
+    this.running = new Set(); // IDs of schedules with a run in progress
+    // Serializes writes so concurrent changes cannot drop each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Check for due and missed runs now, then keep checking in the background
+   */
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.tick();
+  }
+
+  stop() {
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new HamnenError(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a JSON list file
+   * @param {Function} change - list => list
+   */
+  async updateJson(filePath, change) {
+    let result;
+    const write = async () => {
+      result = change(await this.readJson(filePath));
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(result, null, 2), { mode: 0o600 });
+      await fs.rename(tmp, filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    await this.writeQueue;
+    return result;
+  }
+
+  /**
+   * Parse a cron expression in the settings' timezone
+   * @param {Date} [currentDate] - Where next() and prev() count from
+   */
+  parse(cron, timezone, currentDate = new Date()) {
+    return cronParser.parseExpression(cron, { tz: timezone, currentDate });
+  }
+
+  /**
+   * When a schedule next runs, null while it is disabled
+   */
+  nextRun(schedule, timezone) {
+    if (!schedule.enabled) return null;
+    return this.parse(schedule.cron, timezone).next().toDate().toISOString();
+  }
+
+  /**
+   * A schedule as the API returns it: with when it next runs, whether it
+   * runs now and how its last run went
+   */
+  describe(schedule, timezone, history) {
+    const lastRun = history.find(run => run.scheduleId === schedule.id) || null;
+    return {
+      ...schedule,
+      nextRunAt: this.nextRun(schedule, timezone),
+      running: this.running.has(schedule.id),
+      lastRun
+    };
+  }
+
+  /**
+   * Every schedule, by app and name
+   */
+  async list() {
+    const [{ timezone }, schedules, history] = await Promise.all([
+      settingsStore.get(), this.readJson(this.filePath), this.readJson(this.historyPath)
+    ]);
+    return schedules
+      .map(schedule => this.describe(schedule, timezone, history))
+      .sort((a, b) => a.appId.localeCompare(b.appId) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * One schedule, or a 404
+   */
+  async get(scheduleId) {
+    const schedule = (await this.readJson(this.filePath)).find(candidate => candidate.id === scheduleId);
+    if (!schedule) {
+      throw new HamnenError(`Schedule ${scheduleId} not found`, { statusCode: 404, code: 'SCHEDULE_NOT_FOUND' });
+    }
+    const [{ timezone }, history] = await Promise.all([settingsStore.get(), this.readJson(this.historyPath)]);
+    return this.describe(schedule, timezone, history);
+  }
+
+  /**
+   * Check a schedule from the API
+   * @param {object} input - { name, appId, action, cron, options, enabled, missedRuns }
+   * @returns {Promise<object>} The schedule's fields
+   */
+  async validate(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ValidationError('A schedule must be an object with appId, action and cron');
+    }
+
+    const app = typeof input.appId === 'string' ? await appLoader.findAppById(input.appId) : null;
+    if (!app) {
+      throw new ValidationError(`${input.appId} is not an app in the catalog`, { appId: input.appId });
+    }
+    if (!Object.prototype.hasOwnProperty.call(ACTIONS, input.action)) {
+      throw new ValidationError(`action must be one of ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    const cron = typeof input.cron === 'string' ? input.cron.trim() : '';
+    // Five fields or a macro such as @daily; no seconds field
+    if (!cron.startsWith('@') && cron.split(/\s+/).length !== 5) {
+      throw new ValidationError('cron must have five fields: minute hour day-of-month month day-of-week');
+    }
+    try {
+      this.parse(cron, (await settingsStore.get()).timezone);
+    } catch (error) {
+      throw new ValidationError(`cron is not a valid expression: ${error.message}`);
+    }
+
+    if (input.name !== undefined && typeof input.name !== 'string') {
+      throw new ValidationError('name must be a string');
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      throw new ValidationError('enabled must be true or false');
+    }
+    if (input.missedRuns !== undefined && !MISSED_RUNS.includes(input.missedRuns)) {
+      throw new ValidationError(`missedRuns must be one of ${MISSED_RUNS.join(', ')}`);
+    }
+
+    const options = {};
+    if (input.action === 'backup') {
+      const mode = input.options && input.options.mode !== undefined ? input.options.mode : 'stop';
+      if (!['stop', 'pause'].includes(mode)) {
+        throw new ValidationError('options.mode must be "stop" or "pause"');
+      }
+      options.mode = mode;
+    }
+
+    return {
+      name: input.name && input.name.trim() ? input.name.trim() : `${input.action} ${app.name}`,
+      appId: app.id,
+      action: input.action,
+      cron,
+      options,
+      enabled: input.enabled !== false,
+      missedRuns: input.missedRuns || 'run'
+    };
+  }
+
+  /**
+   * Add a schedule. It only runs at occurrences after now.
+   */
+  async create(input) {
+    const fields = await this.validate(input);
+    const now = new Date().toISOString();
+    const schedule = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+      lastScheduledAt: now
+    };
+
+    await this.updateJson(this.filePath, schedules => [...schedules, schedule]);
+    this.arm();
+    return await this.get(schedule.id);
+  }
+
+  /**
+   * Replace a schedule's fields. Occurrences before now are not caught up.
+   */
+  async update(scheduleId, input) {
+    await this.get(scheduleId);
+    const fields = await this.validate(input);
+    const now = new Date().toISOString();
+
+    await this.updateJson(this.filePath, schedules => schedules.map(schedule => (
+      schedule.id === scheduleId ? { ...schedule, ...fields, updatedAt: now, lastScheduledAt: now } : schedule
+    )));
+    this.arm();
+    return await this.get(scheduleId);
+  }
+
+  /**
+   * Delete a schedule; its runs stay in the history
+   */
+  async remove(scheduleId) {
+    const schedule = await this.get(scheduleId);
+    await this.updateJson(this.filePath, schedules => schedules.filter(candidate => candidate.id !== scheduleId));
+    this.arm();
+    return schedule;
+  }
+
+  /**
+   * Runs, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.scheduleId] - Only this schedule's runs
+   * @param {number} [filter.limit] - At most this many
+   */
+  async getHistory({ scheduleId, limit = HISTORY_LIMIT } = {}) {
+    const history = await this.readJson(this.historyPath);
+    return history.filter(run => !scheduleId || run.scheduleId === scheduleId).slice(0, limit);
+  }
+
+  async record(run) {
+    await this.updateJson(this.historyPath, history => [run, ...history].slice(0, HISTORY_LIMIT));
+  }
+
+  /**
+   * Start a schedule's action. The returned promise settles once the
+   * operation has started; the run is recorded when its job finishes.
+   * @param {object} schedule
+   * @param {object} [options]
+   * @param {string} [options.trigger] - "schedule", "catch-up" or "manual"
+   * @param {string} [options.scheduledFor] - The occurrence being run
+   * @param {string} [options.user] - Who ran it by hand
+   * @returns {Promise<{run: object, job: object|null, finished: Promise<object>}>}
+   */
+  async run(schedule, { trigger = 'manual', scheduledFor = null, user = null } = {}) {
+    const run = {
+      id: crypto.randomUUID(),
+      scheduleId: schedule.id,
+      appId: schedule.appId,
+      action: schedule.action,
+      trigger,
+      scheduledFor,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      outcome: null,
+      jobId: null,
+      error: null
+    };
+    const finish = async (outcome, error = null) => {
+      const finished = { ...run, outcome, error, finishedAt: new Date().toISOString() };
+      await this.record(finished);
+      return finished;
+    };
+
+    if (this.running.has(schedule.id)) {
+      if (trigger === 'manual') throw new ConflictError(`Schedule ${schedule.name} is already running`);
+      return { run, job: null, finished: finish('skipped', 'The previous run had not finished') };
+    }
+
+    this.running.add(schedule.id);
+    let job;
+    try {
+      const skipWhen = SKIP_WHEN[schedule.action];
+      const { status, error, code } = skipWhen ? await dockerManager.getAppStatus(schedule.appId) : {};
+      // getAppStatus reports an app it could not look at as stopped
+      if (error) {
+        throw new DockerError(error, { statusCode: code === 'DOCKER_UNAVAILABLE' ? 503 : 502, code });
+      }
+      if (status === skipWhen) {
+        this.running.delete(schedule.id);
+        return { run, job: null, finished: finish('skipped', `The app was already ${status}`) };
+      }
+      job = await ACTIONS[schedule.action](schedule, { user, scheduleId: schedule.id });
+    } catch (error) {
+      this.running.delete(schedule.id);
+      const failed = await finish('failed', error.message);
+      if (trigger === 'manual') throw error;
+      return { run, job: null, finished: Promise.resolve(failed) };
+    }
+
+    run.jobId = job.id;
+    const finished = jobManager.waitFor(job)
+      .then(done => finish(done.phase, done.error))
+      .finally(() => this.running.delete(schedule.id));
+    return { run, job, finished };
+  }
+
+  /**
+   * Run a schedule now, whether or not it is enabled
+   * @param {string} scheduleId
+   * @param {object} [options]
+   * @param {string} [options.user] - Who ran it
+   */
+  async runNow(scheduleId, { user = null } = {}) {
+    return await this.run(await this.get(scheduleId), { user });
+  }
+
+  /**
+   * Run every schedule with an occurrence it has not handled yet, then
+   * wait for the next one
+   */
+  async tick() {
+    try {
+      const [{ timezone }, schedules] = await Promise.all([settingsStore.get(), this.readJson(this.filePath)]);
+      const now = new Date();
+      const due = [];
+
+      for (const schedule of schedules.filter(candidate => candidate.enabled)) {
+        const occurrence = this.parse(schedule.cron, timezone, now).prev().toDate();
+        if (occurrence > new Date(schedule.lastScheduledAt)) {
+          due.push({ schedule, occurrence: occurrence.toISOString(), missed: now - occurrence > MISSED_AFTER });
+        }
+      }
+
+      if (due.length > 0) {
+        const handled = new Map(due.map(({ schedule, occurrence }) => [schedule.id, occurrence]));
+        await this.updateJson(this.filePath, list => list.map(schedule => (
+          handled.has(schedule.id) ? { ...schedule, lastScheduledAt: handled.get(schedule.id) } : schedule
+        )));
+      }
+
+      // Runs go on in the background, a long backup does not hold up the rest
+      for (const { schedule, occurrence, missed } of due) {
+        this.fire(schedule, occurrence, missed);
+      }
+    } catch (error) {
+      console.warn('Failed to check schedules:', error.message);
+    }
+
+    this.arm();
+  }
+
+  async fire(schedule, occurrence, missed) {
+    try {
+      if (missed && schedule.missedRuns === 'skip') {
+        await this.record({
+          id: crypto.randomUUID(),
+          scheduleId: schedule.id,
+          appId: schedule.appId,
+          action: schedule.action,
+          trigger: 'schedule',
+          scheduledFor: occurrence,
+          startedAt: null,
+          finishedAt: new Date().toISOString(),
+          outcome: 'missed',
+          jobId: null,
+          error: 'The backend was not running at the time'
+        });
+        return;
+      }
+
+      const { finished } = await this.run(schedule, { trigger: missed ? 'catch-up' : 'schedule', scheduledFor: occurrence });
+      const run = await finished;
+      if (run.outcome === 'failed') {
+        console.warn(`Scheduled ${schedule.action} of ${schedule.appId} failed:`, run.error);
+      }
+    } catch (error) {
+      console.warn(`Scheduled ${schedule.action} of ${schedule.appId} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Set the timer for the next occurrence of any schedule
+   */
+  async arm() {
+    if (!this.active) return;
+    let delay = MAX_DELAY;
+
+    try {
+      const [{ timezone }, schedules] = await Promise.all([settingsStore.get(), this.readJson(this.filePath)]);
+      for (const schedule of schedules.filter(candidate => candidate.enabled)) {
+        delay = Math.min(delay, Date.parse(this.nextRun(schedule, timezone)) - Date.now());
+      }
+    } catch (error) {
+      // Try again after MAX_DELAY
+    }
+
+    clearTimeout(this.timer);
+    if (!this.active) return;
+    this.timer = setTimeout(() => this.tick(), Math.max(delay, 0));
+    this.timer.unref();
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { HamnenError, ValidationError } = require('./errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const CHARSETS = {
+  alphanumeric: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789',
+  hex: '0123456789abcdef'
+};
+const DEFAULT_LENGTH = 32;
+
+/**
+ * Per-install secrets for the apps' compose files, e.g. database passwords.
+ *
+ * Values are generated on first launch and kept in secrets.json in the
+ * data directory, each encrypted with AES-256-GCM. The key comes from
+ * HAMNEN_SECRET_KEY or is generated into secret.key next to the store.
+ */
+class SecretStore {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.file = path.join(this.dataDir, 'secrets.json');
+    this.keyFile = path.join(this.dataDir, 'secret.key');
+    this.key = null;
+    this.data = null;
+    // Serializes writes so concurrent launches cannot lose each other's secrets
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * The 32 byte encryption key. HAMNEN_SECRET_KEY may be any passphrase;
+   * it is stretched with scrypt.
+   */
+  async getKey() {
+    if (this.key) return this.key;
+
+    if (process.env.HAMNEN_SECRET_KEY) {
+      this.key = crypto.scryptSync(process.env.HAMNEN_SECRET_KEY, 'hamnen-secret-store', 32);
+      return this.key;
+    }
+
+    try {
+      this.key = Buffer.from((await fs.readFile(this.keyFile, 'utf8')).trim(), 'base64');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new HamnenError(`Failed to read secret key: ${error.message}`);
+      }
+      this.key = crypto.randomBytes(32);
+      await fs.mkdir(this.dataDir, { recursive: true });
+      // wx: never overwrite a key another process just created
+      await fs.writeFile(this.keyFile, this.key.toString('base64'), { mode: 0o600, flag: 'wx' });
+    }
+
+    if (this.key.length !== 32) {
+      throw new HamnenError(`${this.keyFile} does not contain a 32 byte key`);
+    }
+    return this.key;
+  }
+
+  async load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new HamnenError(`Failed to read secret store: ${error.message}`);
+      }
+      this.data = { apps: {} };
+    }
+    return this.data;
+  }
+
+  async save() {
+    const write = async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+      await fs.rename(tmp, this.file);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  async encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, await this.getKey(), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  async decrypt(entry) {
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, await this.getKey(), Buffer.from(entry.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(entry.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new HamnenError('Failed to decrypt secret; was the secret key changed?', {
+        code: 'SECRET_DECRYPT_FAILED'
+      });
+    }
+  }
+
+  /**
+   * Normalize description.json `secrets`, where an entry is either a
+   * variable name or { name, description, length, charset }
+   */
+  getDeclaredSecrets(app) {
+    return (app.secrets || []).map(secret => {
+      const declared = typeof secret === 'string' ? { name: secret } : secret;
+      return {
+        name: declared.name,
+        description: declared.description || null,
+        length: declared.length || DEFAULT_LENGTH,
+        charset: declared.charset || 'alphanumeric'
+      };
+    });
+  }
+
+  /**
+   * Random value drawn without modulo bias. Alphanumeric values always
+   * contain upper and lower case letters and a digit, so they pass the
+   * complexity rules some apps enforce.
+   */
+  generate({ length, charset }) {
+    const alphabet = CHARSETS[charset] || CHARSETS.alphanumeric;
+
+    for (;;) {
+      let value = '';
+      while (value.length < length) {
+        const index = crypto.randomInt(alphabet.length);
+        value += alphabet[index];
+      }
+
+      if (charset !== 'alphanumeric' || (/[A-Z]/.test(value) && /[a-z]/.test(value) && /\d/.test(value))) {
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Generate the app's declared secrets that do not have a value yet
+   * @returns {Promise<string[]>} Names of the secrets that were created
+   */
+  async ensureAppSecrets(app) {
+    const declared = this.getDeclaredSecrets(app);
+    if (declared.length === 0) return [];
+
+    const data = await this.load();
+    const stored = data.apps[app.id] || (data.apps[app.id] = {});
+    const created = [];
+
+    for (const secret of declared) {
+      if (stored[secret.name]) continue;
+      stored[secret.name] = {
+        ...(await this.encrypt(this.generate(secret))),
+        createdAt: new Date().toISOString()
+      };
+      created.push(secret.name);
+    }
+
+    if (created.length > 0) {
+      await this.save();
+    }
+    return created;
+  }
+
+  /**
+   * Decrypted secrets of an app as environment variables for compose
+   * @returns {Promise<object>} { NAME: value }
+   */
+  async getAppEnv(appId) {
+    const data = await this.load();
+    const stored = data.apps[appId] || {};
+    const env = {};
+
+    for (const [name, entry] of Object.entries(stored)) {
+      env[name] = await this.decrypt(entry);
+    }
+    return env;
+  }
+
+  /**
+   * Declared secrets of an app with their values, for the admin-only
+   * reveal action. Secrets that were never generated have a null value.
+   */
+  async revealAppSecrets(app) {
+    const data = await this.load();
+    const stored = data.apps[app.id] || {};
+
+    return Promise.all(this.getDeclaredSecrets(app).map(async secret => ({
+      name: secret.name,
+      description: secret.description,
+      value: stored[secret.name] ? await this.decrypt(stored[secret.name]) : null,
+      createdAt: stored[secret.name] ? stored[secret.name].createdAt : null,
+      updatedAt: stored[secret.name] ? stored[secret.name].updatedAt || null : null
+    })));
+  }
+
+  /**
+   * Set a secret to a chosen value, e.g. to keep the password an existing
+   * database volume was initialised with
+   */
+  async setAppSecret(app, name, value) {
+    if (!this.getDeclaredSecrets(app).some(secret => secret.name === name)) {
+      throw new HamnenError(`${app.id} does not declare a secret named ${name}`, {
+        statusCode: 404,
+        code: 'SECRET_NOT_FOUND'
+      });
+    }
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new ValidationError('value must be a non-empty string');
+    }
+    // Values are interpolated into compose files, where "$" starts a variable
+    if (value.includes('$')) {
+      throw new ValidationError('value must not contain "$"');
+    }
+
+    const data = await this.load();
+    const stored = data.apps[app.id] || (data.apps[app.id] = {});
+    const previous = stored[name];
+
+    stored[name] = {
+      ...(await this.encrypt(value)),
+      createdAt: previous ? previous.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await this.save();
+  }
+}
+
+module.exports = new SecretStore();
@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { HamnenError, ValidationError } = require('./errors');
+
+const PROXIES = ['none', 'traefik', 'caddy'];
+
+// A DNS name such as home.lan, below which apps get their own hostname
+const DOMAIN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+// A hostname, IPv4 address or bracketed IPv6 address for app links
+const HOST = /^([a-z0-9.-]+|\[[0-9a-f:.]+\])$/;
+
+/**
+ * Host-wide defaults applied to every app: timezone, the user and group
+ * apps run as, where apps keep their data and backups, and how they are
+ * routed. Saved in settings.json in the data directory; anything not saved
+ * falls back to the environment.
+ */
+class SettingsStore {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.file = path.join(this.dataDir, 'settings.json');
+    this.data = null;
+    // Serializes writes so concurrent updates cannot lose each other's changes
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Values used for settings that were never saved
+   */
+  getDefaults() {
+    return {
+      timezone: process.env.TZ || 'UTC',
+      puid: 1000,
+      pgid: 1000,
+      // Must be a path on the Docker host, which is why the container
+      // deployment sets HAMNEN_DATA_ROOT
+      dataRoot: process.env.HAMNEN_DATA_ROOT || path.join(this.dataDir, 'volumes'),
+      // Reverse proxy serving apps at <app>.<baseDomain>, see proxyManager
+      proxy: process.env.HAMNEN_PROXY || 'none',
+      baseDomain: process.env.HAMNEN_BASE_DOMAIN || '',
+      // Host in links to apps; empty uses the host the UI was opened on
+      baseHost: process.env.HAMNEN_BASE_HOST || '',
+      // Where backups are written, also a path on the Docker host
+      backupDir: process.env.HAMNEN_BACKUP_DIR || path.join(this.dataDir, 'backups'),
+      // Retention per app; 0 turns a limit off, the newest backup is always kept
+      backupKeep: 7,
+      backupMaxAgeDays: 0
+    };
+  }
+
+  async load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new HamnenError(`Failed to read settings: ${error.message}`);
+      }
+      this.data = {};
+    }
+    return this.data;
+  }
+
+  async save() {
+    const write = async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+      await fs.rename(tmp, this.file);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Effective settings, saved values over defaults
+   */
+  async get() {
+    return { ...this.getDefaults(), ...(await this.load()) };
+  }
+
+  /**
+   * Change some settings. A null value goes back to the default.
+   * @param {object} changes - { timezone, puid, pgid, dataRoot, proxy, baseDomain, baseHost,
+   *   backupDir, backupKeep, backupMaxAgeDays }
+   */
+  async update(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ValidationError('Settings must be an object');
+    }
+
+    const defaults = this.getDefaults();
+    const unknown = Object.keys(changes).filter(key => !Object.prototype.hasOwnProperty.call(defaults, key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown settings: ${unknown.join(', ')}`);
+    }
+
+    const validated = {};
+    for (const [key, value] of Object.entries(changes)) {
+      validated[key] = value === null ? null : this.validate(key, value);
+    }
+
+    const data = await this.load();
+    for (const [key, value] of Object.entries(validated)) {
+      if (value === null) {
+        delete data[key];
+      } else {
+        data[key] = value;
+      }
+    }
+    await this.save();
+    return await this.get();
+  }
+
+  validate(key, value) {
+    switch (key) {
+      case 'timezone':
+        if (typeof value !== 'string' || !this.isTimezone(value)) {
+          throw new ValidationError(`${value} is not a known timezone, e.g. Europe/Stockholm`);
+        }
+        return value;
+      case 'puid':
+      case 'pgid':
+        if (!Number.isInteger(value) || value < 0 || value > 2147483647) {
+          throw new ValidationError(`${key} must be a numeric user or group ID`);
+        }
+        return value;
+      case 'backupKeep':
+      case 'backupMaxAgeDays':
+        if (!Number.isInteger(value) || value < 0 || value > 10000) {
+          throw new ValidationError(`${key} must be a whole number, 0 for no limit`);
+        }
+        return value;
+      case 'proxy':
+        if (!PROXIES.includes(value)) {
+          throw new ValidationError(`proxy must be one of ${PROXIES.join(', ')}`);
+        }
+        return value;
+      case 'baseDomain':
+        if (typeof value !== 'string' || (value !== '' && !DOMAIN.test(value.toLowerCase()))) {
+          throw new ValidationError(`${value} is not a domain name, e.g. home.lan`);
+        }
+        return value.toLowerCase();
+      case 'baseHost':
+        if (typeof value !== 'string' || (value !== '' && !HOST.test(value.toLowerCase()))) {
+          throw new ValidationError(`${value} is not a hostname or IP address, e.g. nas.local or 192.168.1.10`);
+        }
+        return value.toLowerCase();
+      default:
+        // dataRoot and backupDir end up in mount specs, where "$" starts a
+        // compose variable and ":" separates the target
+        if (typeof value !== 'string' || !path.isAbsolute(value) || /[$:\r\n]/.test(value)) {
+          throw new ValidationError(`${key} must be an absolute path on the Docker host`);
+        }
+        return path.normalize(value).replace(/(.)\/$/, '$1');
+    }
+  }
+
+  isTimezone(name) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: name });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The settings as the variables catalog compose files interpolate
+   */
+  async getEnv() {
+    const settings = await this.get();
+    return {
+      TZ: settings.timezone,
+      PUID: String(settings.puid),
+      PGID: String(settings.pgid),
+      HAMNEN_DATA_ROOT: settings.dataRoot
+    };
+  }
+}
+
+module.exports = new SettingsStore();
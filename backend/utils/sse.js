@@ -0,0 +1,61 @@
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Turn an HTTP response into a Server-Sent Events stream
+ * @param {object} req - Express request, used to detect client disconnects
+ * @param {object} res - Express response
+ * @param {Function} onClose - Called once when the client goes away
+ */
+function openEventStream(req, res, onClose = () => {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Ask the browser to wait a few seconds before reconnecting
+  res.write('retry: 5000\n\n');
+
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+  };
+
+  req.on('close', close);
+
+  return {
+    /**
+     * Send a named event with a JSON payload
+     */
+    send(event, data, id) {
+      if (closed) return;
+      if (id !== undefined) {
+        res.write(`id: ${id}\n`);
+      }
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * End the stream from the server side
+     */
+    end() {
+      close();
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
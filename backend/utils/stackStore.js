@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const appLoader = require('./appLoader');
+const configStore = require('./configStore');
+const { HamnenError, ValidationError, ConflictError } = require('./errors');
+
+const STACK_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Stacks: named groups of apps that start and stop together, one YAML
+ * file per stack in data/stacks/<id>.yml:
+ *
+ *   name: Media stack
+ *   description: Find, download and watch TV
+ *   apps:
+ *     - media/prowlarr
+ *     - appId: media/sonarr
+ *       env:
+ *         TV_DIR: /mnt/media/tv
+ *
+ * Apps start in the listed order and stop in reverse; env overrides the
+ * app's variables when it is started as part of the stack. The stacks in
+ * backend/stacks are copied in the first time the folder is created.
+ */
+class StackStore {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.dir = path.join(this.dataDir, 'stacks');
+    this.examplesDir = path.join(__dirname, '../stacks');
+    // Serializes writes so two saves of the same stack cannot interleave
+    this.writeQueue = Promise.resolve();
+  }
+
+  filePath(stackId) {
+    return path.join(this.dir, `${stackId}.yml`);
+  }
+
+  /**
+   * Create the stacks folder with the example stacks on first use
+   */
+  async ensureDir() {
+    try {
+      await fs.access(this.dir);
+      return;
+    } catch (error) {
+      // Not created yet
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    let examples = [];
+    try {
+      examples = (await fs.readdir(this.examplesDir)).filter(name => name.endsWith('.yml'));
+    } catch (error) {
+      // No examples shipped
+    }
+    for (const name of examples) {
+      await fs.copyFile(path.join(this.examplesDir, name), path.join(this.dir, name));
+    }
+  }
+
+  /**
+   * Every stack, by name
+   */
+  async list() {
+    await this.ensureDir();
+    const names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.yml'));
+    const stacks = [];
+
+    for (const name of names) {
+      const stackId = path.basename(name, '.yml');
+      try {
+        stacks.push(await this.read(stackId));
+      } catch (error) {
+        console.warn(`Failed to load stack ${stackId}:`, error.message);
+      }
+    }
+
+    return stacks.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * One stack, or a 404
+   */
+  async get(stackId) {
+    if (!STACK_ID.test(stackId)) throw this.notFound(stackId);
+    await this.ensureDir();
+
+    try {
+      return await this.read(stackId);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw this.notFound(stackId);
+      throw error;
+    }
+  }
+
+  async read(stackId) {
+    const content = await fs.readFile(this.filePath(stackId), 'utf8');
+    let config;
+    try {
+      config = yaml.load(content) || {};
+    } catch (error) {
+      throw new HamnenError(`Stack ${stackId} does not parse: ${error.message}`, { code: 'INVALID_STACK' });
+    }
+    return this.normalize(stackId, config);
+  }
+
+  notFound(stackId) {
+    return new HamnenError(`Stack ${stackId} not found`, { statusCode: 404, code: 'STACK_NOT_FOUND' });
+  }
+
+  /**
+   * A stack file as the API returns it; entries may be an app ID or
+   * { appId, env }
+   */
+  normalize(stackId, config) {
+    return {
+      id: stackId,
+      name: typeof config.name === 'string' && config.name.trim() ? config.name.trim() : stackId,
+      description: typeof config.description === 'string' ? config.description : '',
+      apps: (Array.isArray(config.apps) ? config.apps : []).map(entry => (
+        typeof entry === 'string'
+          ? { appId: entry, env: {} }
+          : { appId: entry && entry.appId, env: (entry && entry.env) || {} }
+      ))
+    };
+  }
+
+  /**
+   * Check a stack from the API against the catalog
+   * @returns {Promise<object>} The normalized stack
+   */
+  async validate(stackId, input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ValidationError('A stack must be an object with name, description and apps');
+    }
+    if (input.name !== undefined && typeof input.name !== 'string') {
+      throw new ValidationError('name must be a string');
+    }
+    if (input.description !== undefined && typeof input.description !== 'string') {
+      throw new ValidationError('description must be a string');
+    }
+    if (!Array.isArray(input.apps) || input.apps.length === 0) {
+      throw new ValidationError('apps must list at least one app ID');
+    }
+
+    const stack = this.normalize(stackId, input);
+    const catalog = new Map((await appLoader.loadApps()).map(app => [app.id, app]));
+    const seen = new Set();
+
+    for (const entry of stack.apps) {
+      const app = catalog.get(entry.appId);
+      if (!app) {
+        throw new ValidationError(`${entry.appId} is not an app in the catalog`, { appId: entry.appId });
+      }
+      if (seen.has(entry.appId)) {
+        throw new ValidationError(`${entry.appId} is listed twice`, { appId: entry.appId });
+      }
+      seen.add(entry.appId);
+      // Same rules as the app's own settings
+      configStore.serializeEnv(app, entry.env);
+    }
+
+    return stack;
+  }
+
+  /**
+   * Render a stack as its YAML file; apps without overrides are plain IDs
+   */
+  serialize(stack) {
+    return yaml.dump({
+      name: stack.name,
+      description: stack.description,
+      apps: stack.apps.map(entry => (
+        Object.keys(entry.env).length > 0 ? { appId: entry.appId, env: entry.env } : entry.appId
+      ))
+    });
+  }
+
+  async write(stack) {
+    const filePath = this.filePath(stack.id);
+    const write = async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, this.serialize(stack), { mode: 0o600 });
+      await fs.rename(tmp, filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    await this.writeQueue;
+    return stack;
+  }
+
+  /**
+   * Add a stack; its ID must be new
+   */
+  async create(input) {
+    const stackId = input && input.id;
+    if (typeof stackId !== 'string' || !STACK_ID.test(stackId)) {
+      throw new ValidationError('id must be lowercase letters, digits and dashes, e.g. "media"');
+    }
+
+    await this.ensureDir();
+    try {
+      await fs.access(this.filePath(stackId));
+      throw new ConflictError(`Stack ${stackId} already exists`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return await this.write(await this.validate(stackId, input));
+  }
+
+  /**
+   * Replace a stack's name, description and apps
+   */
+  async update(stackId, input) {
+    await this.get(stackId);
+    return await this.write(await this.validate(stackId, input));
+  }
+
+  async remove(stackId) {
+    await this.get(stackId);
+    await fs.rm(this.filePath(stackId), { force: true });
+  }
+}
+
+module.exports = new StackStore();
@@ -0,0 +1,220 @@
+const EventEmitter = require('events');
+const appLoader = require('./appLoader');
+const dockerManager = require('./docker');
+
+// One sample every 10 seconds, kept for 10 minutes
+const SAMPLE_INTERVAL = 10 * 1000;
+const HISTORY_LENGTH = 60;
+
+// Cumulative byte counters, reported with their rate since the last sample
+const COUNTERS = ['networkRx', 'networkTx', 'blockRead', 'blockWrite'];
+
+/**
+ * Samples the resource usage of every running app in the background and
+ * keeps the last HISTORY_LENGTH samples per app in memory, summed over the
+ * app's containers:
+ *
+ *   { time, containers, cpuPercent, memoryUsage, networkRx, networkRxRate, ... }
+ *
+ * cpuPercent counts like `docker stats`, 100 per busy core. An app's history
+ * starts over when it has no running containers left.
+ *
+ * Emits:
+ *   - "stats" ({ host, apps }) after every round, with the newest sample
+ *     of each running app keyed by app ID
+ */
+class StatsCollector extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.sampling = false;
+    this.history = new Map(); // appId -> samples, oldest first
+    this.containers = new Map(); // appId -> newest sample of each container
+    this.projects = new Map(); // compose project name -> appId
+    this.missingProjects = new Set(); // hamnen_ projects of no app in the catalog
+    this.catalogKey = null;
+    this.hostInfo = null;
+    this.host = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start sampling in the background
+   */
+  start() {
+    if (this.timer) return;
+
+    this.sample();
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Rebuild the compose project -> app ID lookup from the catalog
+   */
+  async loadProjects() {
+    const catalogKey = await appLoader.getCatalogKey();
+    const apps = await appLoader.loadApps();
+    this.projects = new Map(
+      apps.map(app => [dockerManager.getProjectName(app.id), app.id])
+    );
+
+    if (catalogKey !== this.catalogKey) {
+      this.missingProjects.clear();
+      this.catalogKey = catalogKey;
+    }
+  }
+
+  /**
+   * Reload the project lookup when projects show up that it does not know.
+   * Projects of apps that are gone from the catalog are remembered, so
+   * they only reload it once the catalog has changed.
+   */
+  async updateProjects(projectNames) {
+    const unknown = projectNames.filter(projectName => !this.projects.has(projectName));
+    if (unknown.length === 0) return;
+
+    if (unknown.every(projectName => this.missingProjects.has(projectName)) &&
+        await appLoader.getCatalogKey() === this.catalogKey) {
+      return;
+    }
+
+    await this.loadProjects();
+    for (const projectName of unknown) {
+      if (!this.projects.has(projectName)) {
+        this.missingProjects.add(projectName);
+      }
+    }
+  }
+
+  /**
+   * Take one sample of every running app
+   */
+  async sample() {
+    // Stats calls wait for the Engine to measure, a round can outlast the interval
+    if (this.sampling) return;
+    this.sampling = true;
+
+    try {
+      if (!this.hostInfo) {
+        this.hostInfo = await dockerManager.getHostInfo();
+      }
+
+      const projectStats = await dockerManager.getAllProjectStats();
+      await this.updateProjects([...projectStats.keys()]);
+
+      const time = new Date().toISOString();
+      const latest = {};
+      for (const [projectName, containers] of projectStats) {
+        const appId = this.projects.get(projectName);
+        if (appId) {
+          latest[appId] = this.record(appId, time, containers);
+        }
+      }
+
+      for (const appId of [...this.history.keys()]) {
+        if (!latest[appId]) {
+          this.history.delete(appId);
+          this.containers.delete(appId);
+        }
+      }
+
+      this.host = this.summarizeHost(time, latest);
+      this.lastError = null;
+      this.emit('stats', { host: this.host, apps: latest });
+    } catch (error) {
+      // Once per outage rather than every round
+      if (error.message !== this.lastError) {
+        console.warn('Failed to collect resource usage:', error.message);
+      }
+      this.lastError = error.message;
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  /**
+   * Add a sample summed over an app's containers to its history
+   * @returns {object} The new sample
+   */
+  record(appId, time, containers) {
+    const history = this.history.get(appId) || [];
+    const previous = history[history.length - 1];
+    const seconds = previous ? (Date.parse(time) - Date.parse(previous.time)) / 1000 : 0;
+    const total = key => containers.reduce((sum, container) => sum + container[key], 0);
+
+    const sample = {
+      time,
+      containers: containers.length,
+      cpuPercent: Math.round(total('cpuPercent') * 100) / 100,
+      memoryUsage: total('memoryUsage')
+    };
+    for (const counter of COUNTERS) {
+      sample[counter] = total(counter);
+      // Counters start from zero again when a container is recreated
+      sample[`${counter}Rate`] = previous && seconds > 0 && sample[counter] >= previous[counter]
+        ? Math.round((sample[counter] - previous[counter]) / seconds)
+        : null;
+    }
+
+    history.push(sample);
+    if (history.length > HISTORY_LENGTH) {
+      history.shift();
+    }
+    this.history.set(appId, history);
+    this.containers.set(appId, containers);
+    return sample;
+  }
+
+  /**
+   * Totals over all running apps against the host's capacity. cpuPercent
+   * here is a share of all cores, so a fully busy host is at 100.
+   */
+  summarizeHost(time, latest) {
+    const samples = Object.values(latest);
+    const total = key => samples.reduce((sum, sample) => sum + (sample[key] || 0), 0);
+    const { cpus, memoryTotal } = this.hostInfo;
+
+    return {
+      time,
+      cpus,
+      memoryTotal,
+      runningApps: samples.length,
+      cpuPercent: cpus ? Math.round((total('cpuPercent') / cpus) * 100) / 100 : null,
+      memoryUsage: total('memoryUsage'),
+      memoryPercent: memoryTotal ? Math.round((total('memoryUsage') / memoryTotal) * 10000) / 100 : null,
+      ...Object.fromEntries(COUNTERS.map(counter => [`${counter}Rate`, total(`${counter}Rate`)]))
+    };
+  }
+
+  /**
+   * The host summary and every running app's history
+   */
+  getStats() {
+    return {
+      interval: SAMPLE_INTERVAL / 1000,
+      historyLength: HISTORY_LENGTH,
+      host: this.host,
+      apps: Object.fromEntries(this.history)
+    };
+  }
+
+  /**
+   * One app's history and the newest sample of each of its containers
+   */
+  getAppStats(appId) {
+    return {
+      appId,
+      interval: SAMPLE_INTERVAL / 1000,
+      samples: this.history.get(appId) || [],
+      containers: this.containers.get(appId) || []
+    };
+  }
+}
+
+module.exports = new StatsCollector();
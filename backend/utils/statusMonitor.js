@@ -0,0 +1,327 @@
+const EventEmitter = require('events');
+const readline = require('readline');
+const appLoader = require('./appLoader');
+const dockerManager = require('./docker');
+
+// Container actions that can change an app's rolled-up status
+const RELEVANT_ACTIONS = new Set([
+  'create',
+  'start',
+  'restart',
+  'die',
+  'stop',
+  'kill',
+  'pause',
+  'unpause',
+  'destroy'
+]);
+
+// Resubscribing backs off from the first to the longest delay while Docker is unreachable
+const RESTART_DELAY = 5000;
+const MAX_RESTART_DELAY = 60000;
+const REFRESH_DEBOUNCE = 250;
+
+/**
+ * The parts of a status that make a transition. Docker's status text and
+ * uptime change every second, and only event-driven refreshes inspect
+ * containers for restart counts and start times, so comparing whole
+ * statuses would report every app as changed on each full refresh.
+ */
+function transitionKey({ status, containers }) {
+  return JSON.stringify({
+    status,
+    containers: containers.map(container => [
+      container.name,
+      container.service,
+      container.state,
+      container.health,
+      container.condition,
+      container.exitCode
+    ])
+  });
+}
+
+/**
+ * Watches the Docker event stream once for the whole backend and turns container
+ * events into per-app status transitions.
+ *
+ * Emits:
+ *   - "status" ({ appId, status, containers }) when an app's status changes
+ *   - "crash" ({ appId, container, service, exitCode }) when a container
+ *     exits with an error without anyone stopping it
+ */
+class StatusMonitor extends EventEmitter {
+  constructor() {
+    super();
+    this.stream = null;
+    this.connecting = false;
+    this.subscribers = 0;
+    this.statuses = new Map(); // appId -> { status, containers }
+    this.projects = new Map(); // compose project name -> appId
+    this.missingProjects = new Set(); // hamnen_ projects of no app in the catalog
+    this.catalogKey = null;
+    this.refreshTimers = new Map();
+    this.restartTimer = null;
+    this.restartDelay = RESTART_DELAY;
+    this.lastError = null;
+    // Containers that were told to stop, so their exit is no crash
+    this.stopping = new Set();
+  }
+
+  /**
+   * Register a listener for status transitions. The Docker events
+   * subscription only runs while at least one listener is registered.
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.on('status', listener);
+    this.subscribers++;
+
+    if (this.subscribers === 1) {
+      this.start();
+    }
+
+    return () => {
+      this.off('status', listener);
+      this.subscribers--;
+
+      if (this.subscribers === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  /**
+   * Current status of every known app, keyed by app ID
+   */
+  async getSnapshot() {
+    await this.refreshAll();
+    return Object.fromEntries(this.statuses);
+  }
+
+  /**
+   * Rebuild the compose project -> app ID lookup from the catalog
+   */
+  async loadProjects() {
+    const catalogKey = await appLoader.getCatalogKey();
+    const apps = await appLoader.loadApps();
+    this.projects = new Map(
+      apps.map(app => [dockerManager.getProjectName(app.id), app.id])
+    );
+
+    if (catalogKey !== this.catalogKey) {
+      this.missingProjects.clear();
+      this.catalogKey = catalogKey;
+    }
+  }
+
+  /**
+   * Reload the project lookup for a project it does not know, which may
+   * belong to an app added after the monitor started. Projects of apps
+   * that are gone from the catalog are remembered, so their events only
+   * reload it once the catalog has changed.
+   */
+  async findApp(projectName) {
+    if (this.projects.has(projectName)) {
+      return this.projects.get(projectName);
+    }
+
+    if (this.missingProjects.has(projectName) &&
+        await appLoader.getCatalogKey() === this.catalogKey) {
+      return null;
+    }
+
+    await this.loadProjects();
+    if (!this.projects.has(projectName)) {
+      this.missingProjects.add(projectName);
+      return null;
+    }
+    return this.projects.get(projectName);
+  }
+
+  /**
+   * Refresh every app's status with a single container listing
+   */
+  async refreshAll() {
+    if (this.projects.size === 0) {
+      await this.loadProjects();
+    }
+
+    const projectStatuses = await dockerManager.getAllProjectStatuses();
+
+    for (const [projectName, appId] of this.projects) {
+      const status = projectStatuses.get(projectName) || { status: 'stopped', containers: [] };
+      this.update(appId, status);
+    }
+  }
+
+  /**
+   * Refresh a single app's status, coalescing bursts of events
+   */
+  scheduleRefresh(appId) {
+    clearTimeout(this.refreshTimers.get(appId));
+
+    this.refreshTimers.set(appId, setTimeout(async () => {
+      this.refreshTimers.delete(appId);
+      const status = await dockerManager.getAppStatus(appId, { detailed: true });
+      this.update(appId, status);
+    }, REFRESH_DEBOUNCE));
+  }
+
+  /**
+   * Store a new status and emit a transition if it differs from the last one
+   */
+  update(appId, status) {
+    const previous = this.statuses.get(appId);
+    const next = { status: status.status, containers: status.containers };
+    this.statuses.set(appId, next);
+
+    if (previous && transitionKey(previous) === transitionKey(next)) {
+      return;
+    }
+
+    this.emit('status', { appId, ...next });
+  }
+
+  /**
+   * Handle one line of the Engine's newline delimited event stream
+   */
+  async handleEvent(line) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    const action = (event.Action || event.status || '').split(':')[0];
+    const attributes = (event.Actor && event.Actor.Attributes) || {};
+    const projectName = attributes['com.docker.compose.project'];
+
+    if (!projectName || !projectName.startsWith('hamnen_')) return;
+    if (!RELEVANT_ACTIONS.has(action) && action !== 'health_status') return;
+
+    const appId = await this.findApp(projectName);
+    if (appId) {
+      this.trackExit(appId, action, event.Actor);
+      this.scheduleRefresh(appId);
+    }
+  }
+
+  /**
+   * Tell crashes from stops. Stopping a container, whether through
+   * compose or the CLI, sends it a signal first, which shows up as a
+   * "kill" event before its "die".
+   */
+  trackExit(appId, action, actor) {
+    const id = actor.ID;
+
+    if (action === 'kill' || action === 'stop') {
+      this.stopping.add(id);
+    } else if (action === 'start' || action === 'destroy') {
+      this.stopping.delete(id);
+    } else if (action === 'die') {
+      const exitCode = Number(actor.Attributes.exitCode);
+      if (!this.stopping.has(id) && exitCode !== 0) {
+        this.emit('crash', {
+          appId,
+          container: actor.Attributes.name,
+          service: actor.Attributes['com.docker.compose.service'] || null,
+          exitCode
+        });
+      }
+    }
+  }
+
+  /**
+   * Start the Docker events subscription
+   */
+  async start() {
+    if (this.stream || this.connecting) return;
+    this.connecting = true;
+
+    let stream;
+    try {
+      stream = await dockerManager.watchEvents();
+    } catch (error) {
+      // Once per outage rather than every retry
+      if (error.message !== this.lastError) {
+        console.warn(error.message);
+      }
+      this.lastError = error.message;
+      this.connecting = false;
+      this.scheduleRestart();
+      this.restartDelay = Math.min(this.restartDelay * 2, MAX_RESTART_DELAY);
+      return;
+    }
+
+    this.connecting = false;
+    this.lastError = null;
+    this.restartDelay = RESTART_DELAY;
+
+    // Everyone may have left while we were connecting
+    if (this.subscribers === 0) {
+      stream.destroy();
+      return;
+    }
+
+    this.stream = stream;
+
+    const lines = readline.createInterface({ input: stream });
+    lines.on('line', line => {
+      this.handleEvent(line).catch(error => {
+        console.warn('Failed to handle docker event:', error.message);
+      });
+    });
+
+    stream.on('error', error => {
+      console.warn('Docker event stream failed:', error.message);
+    });
+
+    stream.on('close', () => {
+      // A stopped subscription may close after a new one was started
+      if (this.stream !== stream) return;
+      this.stream = null;
+      this.scheduleRestart();
+    });
+
+    // Resync anything that changed while we were not subscribed
+    this.refreshAll().catch(error => {
+      console.warn('Failed to refresh app statuses:', error.message);
+    });
+  }
+
+  /**
+   * Resubscribe after a delay if somebody is still listening. The delay
+   * doubles with each failed attempt, see start.
+   */
+  scheduleRestart() {
+    if (this.subscribers === 0 || this.restartTimer) return;
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.start();
+    }, this.restartDelay);
+  }
+
+  /**
+   * Stop the Docker events subscription
+   */
+  stop() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    for (const timer of this.refreshTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.refreshTimers.clear();
+
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      stream.destroy();
+    }
+  }
+}
+
+module.exports = new StatusMonitor();
@@ -0,0 +1,190 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const appLoader = require('./appLoader');
+const dockerManager = require('./docker');
+
+// Hours between checks of the whole catalog; 0 only checks on request
+const CHECK_INTERVAL = Number(process.env.HAMNEN_UPDATE_CHECK_HOURS || 6) * 60 * 60 * 1000;
+
+/**
+ * Finds apps whose images have a newer version in their registry, which
+ * the catalog's :latest tags otherwise hide. An app compares the images
+ * its containers run, or when it is stopped the ones pulled locally,
+ * against the digest its tag points at now. Images that were never
+ * pulled are not looked up, so the registries only hear about installed
+ * apps. Results are kept in data/updates.json:
+ *
+ *   { appId, checkedAt, updateAvailable, images: [{ image, status, ... }] }
+ *
+ * with an entry per image as DockerManager.checkImageUpdate reports it.
+ *
+ * Emits:
+ *   - "update" ({ appId, update }) after an app was checked, with a null
+ *     update when the app has no images pulled anymore
+ */
+class UpdateChecker extends EventEmitter {
+  constructor() {
+    super();
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.filePath = path.join(this.dataDir, 'updates.json');
+    this.results = new Map(); // appId -> newest result
+    this.checkedAt = null; // When the whole catalog was last checked
+    this.checking = null;
+    this.timer = null;
+    this.loaded = null;
+    // Serializes saves so a single check cannot interleave with a full one
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load earlier results and check the catalog in the background when
+   * they are older than CHECK_INTERVAL
+   */
+  async start() {
+    await this.load();
+    if (this.timer || CHECK_INTERVAL <= 0) return;
+
+    const age = this.checkedAt ? Date.now() - Date.parse(this.checkedAt) : Infinity;
+    this.timer = setTimeout(() => this.runPeriodically(), Math.max(CHECK_INTERVAL - age, 0));
+    this.timer.unref();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async runPeriodically() {
+    try {
+      await this.checkAll();
+    } catch (error) {
+      console.warn('Failed to check for image updates:', error.message);
+    }
+    this.timer = setTimeout(() => this.runPeriodically(), CHECK_INTERVAL);
+    this.timer.unref();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(content => {
+          const saved = JSON.parse(content);
+          this.checkedAt = saved.checkedAt || null;
+          for (const result of saved.apps || []) {
+            this.results.set(result.appId, result);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.warn('Failed to read saved update checks:', error.message);
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  async save() {
+    const write = async () => {
+      const content = JSON.stringify({ checkedAt: this.checkedAt, apps: [...this.results.values()] }, null, 2);
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmp = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, content, { mode: 0o600 });
+      await fs.rename(tmp, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    await this.writeQueue;
+  }
+
+  /**
+   * The newest result for an app, null if it was never checked
+   */
+  get(appId) {
+    return this.results.get(appId) || null;
+  }
+
+  /**
+   * Every app's newest result, keyed by app ID
+   */
+  async getAll() {
+    await this.load();
+    return {
+      checkedAt: this.checkedAt,
+      interval: CHECK_INTERVAL / 1000,
+      checking: Boolean(this.checking),
+      apps: Object.fromEntries(this.results)
+    };
+  }
+
+  /**
+   * Check one app's images
+   * @param {object} app - Loaded app
+   * @returns {Promise<object>} The result
+   */
+  async checkApp(app) {
+    await this.load();
+    const running = await dockerManager.getAppImages(app.id);
+
+    const images = [];
+    // One at a time, registries rate limit lookups
+    for (const image of app.composeInfo.images) {
+      images.push(await dockerManager.checkImageUpdate(image, running.get(image)));
+    }
+
+    const update = {
+      appId: app.id,
+      checkedAt: new Date().toISOString(),
+      updateAvailable: images.some(result => result.status === 'update-available'),
+      images
+    };
+
+    // Apps with nothing pulled are not worth remembering
+    if (images.every(result => result.status === 'missing')) {
+      if (this.results.delete(app.id)) {
+        this.emit('update', { appId: app.id, update: null });
+      }
+    } else {
+      this.results.set(app.id, update);
+      this.emit('update', { appId: app.id, update });
+    }
+    return update;
+  }
+
+  /**
+   * Check every app in the catalog. Concurrent calls share one run. When
+   * Docker is unreachable the run stops at the first app and rejects,
+   * since every other app would fail the same way.
+   */
+  checkAll() {
+    if (!this.checking) {
+      this.checking = (async () => {
+        const apps = await appLoader.loadApps();
+        for (const app of apps) {
+          try {
+            await this.checkApp(app);
+          } catch (error) {
+            if (error.code === 'DOCKER_UNAVAILABLE') throw error;
+            console.warn(`Failed to check ${app.id} for image updates:`, error.message);
+          }
+        }
+        this.checkedAt = new Date().toISOString();
+        await this.save();
+      })().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  /**
+   * Check one app and keep the result
+   */
+  async check(app) {
+    const update = await this.checkApp(app);
+    await this.save();
+    return update;
+  }
+}
+
+module.exports = new UpdateChecker();
@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { HamnenError, ValidationError, ConflictError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const KEY_LENGTH = 64;
+const TOKEN_PREFIX = 'hmn_';
+
+/**
+ * File backed store for local users and their API tokens.
+ * Passwords are kept as scrypt hashes, tokens as SHA-256 hashes.
+ */
+class UserStore {
+  constructor() {
+    // Writable state lives outside the (read-only) apps directory
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.file = path.join(this.dataDir, 'users.json');
+    this.data = null;
+    // Serializes writes so concurrent requests cannot lose each other's changes
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the store from disk on first use
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new HamnenError(`Failed to read user store: ${error.message}`);
+      }
+      this.data = { users: [], tokens: [] };
+    }
+    return this.data;
+  }
+
+  /**
+   * Persist the store atomically (write to a temp file, then rename)
+   */
+  async save() {
+    const write = async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+      await fs.rename(tmp, this.file);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Whether a role is at least as privileged as another
+   */
+  hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * Strip secrets before a user leaves the store
+   */
+  toPublicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, expected] = (stored || '').split('$');
+    if (typeof password !== 'string' || scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'base64');
+    // A corrupted or foreign hash is a failed login, not a crash
+    if (hash.length !== expectedHash.length) return false;
+    return crypto.timingSafeEqual(hash, expectedHash);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * A new user needs a username and password, an update only checks what it changes
+   */
+  validateUser({ username, password, role }, { creating }) {
+    if ((creating || username !== undefined) && (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{1,64}$/.test(username))) {
+      throw new ValidationError('username is required and may only contain letters, digits, ".", "_" and "-"');
+    }
+    if ((creating || password !== undefined) && (typeof password !== 'string' || password.length < 8)) {
+      throw new ValidationError('password must be at least 8 characters');
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  async countUsers() {
+    const data = await this.load();
+    return data.users.length;
+  }
+
+  async listUsers() {
+    const data = await this.load();
+    return data.users.map(user => this.toPublicUser(user));
+  }
+
+  async findUser(userId) {
+    const data = await this.load();
+    return data.users.find(user => user.id === userId) || null;
+  }
+
+  async findUserByName(username) {
+    const data = await this.load();
+    return data.users.find(user => user.username === username) || null;
+  }
+
+  async createUser({ username, password, role = 'viewer' }) {
+    this.validateUser({ username, password, role }, { creating: true });
+    const data = await this.load();
+
+    if (data.users.some(user => user.username === username)) {
+      throw new ConflictError(`User ${username} already exists`);
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      passwordHash: await this.hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+
+    data.users.push(user);
+    await this.save();
+    return this.toPublicUser(user);
+  }
+
+  async updateUser(userId, { password, role }) {
+    this.validateUser({ password, role }, { creating: false });
+    const user = await this.findUser(userId);
+    if (!user) {
+      throw new HamnenError('User not found', { statusCode: 404, code: 'USER_NOT_FOUND' });
+    }
+
+    if (role !== undefined && role !== 'admin' && user.role === 'admin' && await this.isLastAdmin(user)) {
+      throw new ConflictError('Cannot demote the last admin');
+    }
+
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.passwordHash = await this.hashPassword(password);
+    user.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return this.toPublicUser(user);
+  }
+
+  async deleteUser(userId) {
+    const data = await this.load();
+    const user = data.users.find(u => u.id === userId);
+    if (!user) {
+      throw new HamnenError('User not found', { statusCode: 404, code: 'USER_NOT_FOUND' });
+    }
+
+    if (user.role === 'admin' && await this.isLastAdmin(user)) {
+      throw new ConflictError('Cannot delete the last admin');
+    }
+
+    data.users = data.users.filter(u => u.id !== userId);
+    data.tokens = data.tokens.filter(token => token.userId !== userId);
+    await this.save();
+  }
+
+  async isLastAdmin(user) {
+    const data = await this.load();
+    return !data.users.some(u => u.id !== user.id && u.role === 'admin');
+  }
+
+  /**
+   * Issue an API token for a user. The plain token is only returned here.
+   * @param {string} userId - Owner of the token
+   * @param {object} options
+   * @param {string} options.name - Label to recognise the token by
+   * @param {string} [options.role] - Role for the token, capped at the owner's role
+   */
+  async createToken(userId, { name, role }) {
+    const user = await this.findUser(userId);
+    if (!user) {
+      throw new HamnenError('User not found', { statusCode: 404, code: 'USER_NOT_FOUND' });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('name is required');
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (role && !this.hasRole(user.role, role)) {
+      throw new ValidationError(`Cannot create a ${role} token as ${user.role}`);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      userId,
+      name: name.trim(),
+      role: role || user.role,
+      tokenHash: this.hashToken(token),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    const data = await this.load();
+    data.tokens.push(record);
+    await this.save();
+
+    const { tokenHash, ...publicRecord } = record;
+    return { ...publicRecord, token };
+  }
+
+  async listTokens(userId) {
+    const data = await this.load();
+    return data.tokens
+      .filter(token => token.userId === userId)
+      .map(({ tokenHash, ...rest }) => rest);
+  }
+
+  async deleteToken(userId, tokenId) {
+    const data = await this.load();
+    const before = data.tokens.length;
+    data.tokens = data.tokens.filter(token => !(token.id === tokenId && token.userId === userId));
+
+    if (data.tokens.length === before) {
+      throw new HamnenError('Token not found', { statusCode: 404, code: 'TOKEN_NOT_FOUND' });
+    }
+    await this.save();
+  }
+
+  /**
+   * Resolve a plain API token to its record and owner
+   */
+  async findToken(token) {
+    if (!token.startsWith(TOKEN_PREFIX)) return null;
+
+    const data = await this.load();
+    const hash = this.hashToken(token);
+    const record = data.tokens.find(t => t.tokenHash === hash);
+    if (!record) return null;
+
+    const user = data.users.find(u => u.id === record.userId);
+    if (!user) return null;
+
+    record.lastUsedAt = new Date().toISOString();
+    // Last-used timestamps are informational, don't fail the request over them
+    this.save().catch(() => {});
+
+    return { record, user };
+  }
+}
+
+const userStore = new UserStore();
+userStore.ROLES = ROLES;
+
+module.exports = userStore;
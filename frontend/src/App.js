@@ -1,24 +1,146 @@
 import React, { useState, useEffect } from 'react';
 import './App.css';
 import AppCard from './components/AppCard';
+import Login from './components/Login';
+import SettingsDialog from './components/SettingsDialog';
+import NetworksDialog from './components/NetworksDialog';
+import SchedulesDialog from './components/SchedulesDialog';
+import HistoryDialog from './components/HistoryDialog';
+import StacksSection from './components/StacksSection';
+import HostSummary from './components/HostSummary';
+
+const JOB_POLL_INTERVAL = 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isJobFinished = (job) => job.phase === 'completed' || job.phase === 'failed';
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
 
 function App() {
+  // undefined while the session is being checked, null when logged out
+  const [user, setUser] = useState(undefined);
   const [apps, setApps] = useState([]);
+  const [stacks, setStacks] = useState([]);
+  // Resource usage history of running apps, kept current by the event stream
+  const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('');
   const [showRunningOnly, setShowRunningOnly] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showNetworks, setShowNetworks] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
 
   useEffect(() => {
-    loadApps();
-    // Refresh app status every 5 seconds
-    const interval = setInterval(loadApps, 5000);
-    return () => clearInterval(interval);
+    fetch('/api/auth/me')
+      .then(response => (response.ok ? response.json() : { user: null }))
+      .then(data => setUser(data.user))
+      .catch(() => setUser(null));
   }, []);
 
+  const userId = user ? user.id : null;
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    let eventSource = null;
+    let pollInterval = null;
+    let reconnectTimer = null;
+
+    // Polling is only the fallback for when the event stream is down
+    const startPolling = () => {
+      if (!pollInterval) {
+        pollInterval = setInterval(loadApps, 5000);
+      }
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    };
+
+    const applyStatus = (appId, update) => {
+      setApps(prevApps => prevApps.map(app =>
+        app.id === appId ? { ...app, ...update } : app
+      ));
+    };
+
+    const connect = () => {
+      eventSource = new EventSource('/api/events');
+
+      eventSource.onopen = () => {
+        stopPolling();
+      };
+
+      eventSource.addEventListener('snapshot', (event) => {
+        const { statuses } = JSON.parse(event.data);
+        setApps(prevApps => prevApps.map(app =>
+          statuses[app.id] ? { ...app, ...statuses[app.id] } : app
+        ));
+      });
+
+      eventSource.addEventListener('status', (event) => {
+        const { appId, ...update } = JSON.parse(event.data);
+        applyStatus(appId, update);
+      });
+
+      eventSource.addEventListener('health', (event) => {
+        const { appId, health } = JSON.parse(event.data);
+        applyStatus(appId, { health });
+      });
+
+      eventSource.addEventListener('update', (event) => {
+        const { appId, update } = JSON.parse(event.data);
+        applyStatus(appId, { update });
+      });
+
+      // Each round has the newest sample of every running app
+      eventSource.addEventListener('stats', (event) => {
+        const { host, apps: samples } = JSON.parse(event.data);
+        setStats(prevStats => {
+          if (!prevStats) return prevStats;
+          const history = {};
+          for (const [appId, sample] of Object.entries(samples)) {
+            history[appId] = [...(prevStats.apps[appId] || []), sample].slice(-prevStats.historyLength);
+          }
+          return { ...prevStats, host, apps: history };
+        });
+      });
+
+      eventSource.onerror = () => {
+        startPolling();
+
+        // The browser retries on its own unless the stream was refused outright
+        if (eventSource.readyState === EventSource.CLOSED) {
+          reconnectTimer = setTimeout(connect, 15000);
+        }
+      };
+    };
+
+    loadApps();
+    loadStacks();
+    loadStats();
+    connect();
+
+    return () => {
+      if (eventSource) eventSource.close();
+      clearTimeout(reconnectTimer);
+      stopPolling();
+    };
+  }, [userId]);
+
   const loadApps = async () => {
     try {
       const response = await fetch('/api/apps');
+      if (response.status === 401) {
+        // Session expired or was revoked
+        setUser(null);
+        return;
+      }
       if (!response.ok) throw new Error('Failed to load applications');
       const data = await response.json();
       setApps(data.apps);
@@ -30,45 +152,142 @@ function App() {
     }
   };
 
-  const handleStart = async (appId) => {
+  const loadStats = async () => {
     try {
-      const response = await fetch(`/api/apps/${appId}/start`, {
-        method: 'POST'
-      });
-
-      if (!response.ok) throw new Error('Failed to start application');
+      const response = await fetch('/api/stats');
+      if (!response.ok) return;
+      setStats(await response.json());
+    } catch (err) {
+      // Usage figures are optional, the cards work without them
+    }
+  };
 
+  const loadStacks = async () => {
+    try {
+      const response = await fetch('/api/stacks');
+      if (!response.ok) throw new Error('Failed to load stacks');
       const data = await response.json();
+      setStacks(data.stacks);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Poll an operation job until it finishes, reporting progress along the way
+  const waitForJob = async (initialJob, onProgress) => {
+    let job = initialJob;
+    onProgress(job);
+
+    while (!isJobFinished(job)) {
+      await delay(JOB_POLL_INTERVAL);
+      const response = await fetch(`/api/jobs/${job.id}`);
+      if (!response.ok) throw new Error('Lost track of the operation');
+      job = await response.json();
+      onProgress(job);
+    }
 
+    if (job.phase === 'failed') throw new Error(job.error);
+    return job;
+  };
+
+  // Start an app operation (e.g. "start" or "services/db/restart") and wait for its job to finish
+  const runOperation = async (appId, action, onProgress = () => {}, body) => {
+    const response = await fetch(`/api/apps/${appId}/${action}`, {
+      method: 'POST',
+      ...(body && { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(data.error || `Failed to ${action} application`);
+      error.code = data.code;
+      error.details = data.details;
+      throw error;
+    }
+
+    try {
+      return await waitForJob(data.job, onProgress);
+    } finally {
       // Update app status immediately
       await loadApps();
+    }
+  };
 
-      // Redirect after a short delay
-      if (data.url) {
-        setTimeout(() => {
-          window.open(data.url, '_blank');
-        }, 2000);
-      }
-
-      return data;
+  // Ask before retrying an operation the server refused because of dependencies
+  const runWithDependencyCheck = async (appId, action, onProgress, code, question, retryBody) => {
+    try {
+      return await runOperation(appId, action, onProgress);
     } catch (err) {
-      throw err;
+      if (err.code !== code || !window.confirm(question(err.details))) throw err;
+      return await runOperation(appId, action, onProgress, retryBody);
     }
   };
 
-  const handleStop = async (appId) => {
+  // Start or stop every app of a stack
+  const handleStackOperation = async (stackId, action, onProgress) => {
+    const response = await fetch(`/api/stacks/${stackId}/${action}`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Failed to ${action} stack`);
+
     try {
-      const response = await fetch(`/api/apps/${appId}/stop`, {
-        method: 'POST'
-      });
+      return await waitForJob(data.job, onProgress);
+    } finally {
+      await loadApps();
+    }
+  };
 
-      if (!response.ok) throw new Error('Failed to stop application');
+  const handleLogin = (loggedInUser) => {
+    setLoading(true);
+    setUser(loggedInUser);
+  };
 
-      // Update app status immediately
-      await loadApps();
-    } catch (err) {
-      throw err;
+  const handleLogout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    setUser(null);
+    setApps([]);
+  };
+
+  const handleStart = async (appId, onProgress) => {
+    // The start job only completes once the app's health check passes
+    const job = await runWithDependencyCheck(
+      appId, 'start', onProgress, 'DEPENDENCIES_NOT_RUNNING',
+      (details) => `This app needs ${details.missing.map(app => app.name).join(', ')}, which ${details.missing.length === 1 ? 'is' : 'are'} not running. Start ${details.missing.length === 1 ? 'it' : 'them'} first?`,
+      { withDependencies: true }
+    );
+
+    if (job.result && job.result.url) {
+      window.open(job.result.url, '_blank');
     }
+
+    return job;
+  };
+
+  const handleStop = async (appId, onProgress) => {
+    return await runWithDependencyCheck(
+      appId, 'stop', onProgress, 'HAS_DEPENDENTS',
+      (details) => `${details.dependents.map(app => app.name).join(', ')} depend${details.dependents.length === 1 ? 's' : ''} on this app and will stop working. Stop it anyway?`,
+      { force: true }
+    );
+  };
+
+  const handleRestart = async (appId, onProgress) => {
+    return await runOperation(appId, 'restart', onProgress);
+  };
+
+  const handleServiceAction = async (appId, service, action, onProgress) => {
+    return await runOperation(appId, `services/${service}/${action}`, onProgress);
+  };
+
+  const handleUpdate = async (appId, onProgress) => {
+    return await runOperation(appId, 'update', onProgress);
+  };
+
+  const handleBackup = async (appId, mode, onProgress) => {
+    return await runOperation(appId, 'backup', onProgress, { mode });
+  };
+
+  const handleRestore = async (appId, backupId, onProgress) => {
+    return await runOperation(appId, `backups/${backupId}/restore`, onProgress);
   };
 
   const filteredApps = apps.filter(app => {
@@ -104,6 +323,18 @@ function App() {
       .join(' ');
   };
 
+  if (user === undefined) {
+    return (
+      <div className="App">
+        <div className="loading">Loading...</div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login onLogin={handleLogin} />;
+  }
+
   if (loading && apps.length === 0) {
     return (
       <div className="App">
@@ -117,8 +348,35 @@ function App() {
       <header className="App-header">
         <h1>🚢 Hamnen</h1>
         <p>Docker Application Launcher</p>
+        <div className="user-bar">
+          <span className="user-name">{user.username}</span>
+          <span className="user-role">{user.role}</span>
+          <button className="settings-button" onClick={() => setShowNetworks(true)}>Networks</button>
+          <button className="settings-button" onClick={() => setShowSchedules(true)}>Schedules</button>
+          <button className="settings-button" onClick={() => setShowHistory(true)}>History</button>
+          {hasRole(user, 'admin') && (
+            <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+          )}
+          <button className="logout-button" onClick={handleLogout}>Log out</button>
+        </div>
       </header>
 
+      {stats && stats.host && <HostSummary host={stats.host} />}
+
+      {showSettings && <SettingsDialog onClose={() => setShowSettings(false)} />}
+      {showNetworks && (
+        <NetworksDialog canOperate={hasRole(user, 'operator')} onClose={() => setShowNetworks(false)} />
+      )}
+      {showSchedules && (
+        <SchedulesDialog
+          apps={apps}
+          canOperate={hasRole(user, 'operator')}
+          isAdmin={hasRole(user, 'admin')}
+          onClose={() => setShowSchedules(false)}
+        />
+      )}
+      {showHistory && <HistoryDialog apps={apps} onClose={() => setShowHistory(false)} />}
+
       <div className="controls">
         <input
           type="text"
@@ -144,6 +402,15 @@ function App() {
       )}
 
       <div className="apps-container">
+        <StacksSection
+          stacks={stacks}
+          apps={apps}
+          onRun={handleStackOperation}
+          onChanged={loadStacks}
+          canOperate={hasRole(user, 'operator')}
+          isAdmin={hasRole(user, 'admin')}
+        />
+
         {filteredApps.length === 0 ? (
           <div className="no-apps">
             <p>No applications found.</p>
@@ -161,8 +428,16 @@ function App() {
                   <AppCard
                     key={app.id}
                     app={app}
+                    stats={stats && stats.apps[app.id]}
                     onStart={handleStart}
                     onStop={handleStop}
+                    onRestart={handleRestart}
+                    onServiceAction={handleServiceAction}
+                    onUpdate={handleUpdate}
+                    onBackup={handleBackup}
+                    onRestore={handleRestore}
+                    canOperate={hasRole(user, 'operator')}
+                    isAdmin={hasRole(user, 'admin')}
                   />
                 ))}
               </div>
@@ -1,8 +1,51 @@
 import React, { useState } from 'react';
 import './AppCard.css';
+import CredentialsDialog from './CredentialsDialog';
+import AppSettingsDialog from './AppSettingsDialog';
+import BackupsDialog from './BackupsDialog';
+import HistoryDialog from './HistoryDialog';
+import LogDrawer from './LogDrawer';
+import ServiceList from './ServiceList';
+import ResourceUsage from './ResourceUsage';
 
-function AppCard({ app, onStart, onStop }) {
+const PHASE_LABELS = {
+  queued: 'Queued',
+  pulling: 'Pulling images',
+  starting: 'Creating containers',
+  'waiting-health': 'Waiting for health check',
+  stopping: 'Stopping',
+  restarting: 'Restarting',
+  'rolling-back': 'Rolling back',
+  pausing: 'Pausing',
+  archiving: 'Archiving data',
+  restoring: 'Restoring data',
+  pruning: 'Deleting expired backups',
+  completed: 'Done',
+  failed: 'Failed'
+};
+
+const DEPENDENCY_FIELDS = [
+  { key: 'requires', label: 'Needs' },
+  { key: 'recommends', label: 'Works with' }
+];
+
+// "media/prowlarr" or { anyOf: [...] } as "prowlarr" or "qbittorrent or transmission"
+function formatDependency(entry) {
+  const ids = typeof entry === 'string' ? [entry] : entry.anyOf;
+  return ids.map(id => id.split('/').pop()).join(' or ');
+}
+
+function AppCard({ app, stats, onStart, onStop, onRestart, onServiceAction, onUpdate, onBackup, onRestore, canOperate, isAdmin }) {
   const [loading, setLoading] = useState(false);
+  const [job, setJob] = useState(null);
+  const [showLogs, setShowLogs] = useState(false);
+  const [showCredentials, setShowCredentials] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showBackups, setShowBackups] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+
+  const services = (app.composeInfo && app.composeInfo.services) || [];
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
 
@@ -10,14 +53,16 @@ function AppCard({ app, onStart, onStop }) {
     setLoading(true);
     setError(null);
     setSuccessMessage(null);
+    setJob(null);
 
     try {
-      await onStart(app.id);
+      await onStart(app.id, setJob);
       setSuccessMessage('Application started! Opening in new tab...');
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
+      setJob(null);
     }
   };
 
@@ -25,24 +70,69 @@ function AppCard({ app, onStart, onStop }) {
     setLoading(true);
     setError(null);
     setSuccessMessage(null);
+    setJob(null);
 
     try {
-      await onStop(app.id);
+      await onStop(app.id, setJob);
       setSuccessMessage('Application stopped');
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
+      setJob(null);
+    }
+  };
+
+  const health = app.status !== 'stopped' && app.health ? app.health.state : null;
+
+  // Run another operation on the app, reporting job progress like start and stop do
+  const runCardAction = async (action, successText) => {
+    setLoading(true);
+    setError(null);
+    setSuccessMessage(null);
+    setJob(null);
+
+    try {
+      await action(setJob);
+      setSuccessMessage(successText);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setJob(null);
     }
   };
 
+  const handleRestart = () => runCardAction(
+    (onProgress) => onRestart(app.id, onProgress),
+    'Application restarted'
+  );
+
+  const handleUpdate = () => runCardAction(
+    (onProgress) => onUpdate(app.id, onProgress),
+    'Application updated'
+  );
+
+  const updateAvailable = Boolean(app.update && app.update.updateAvailable);
+  const updatedImages = updateAvailable
+    ? app.update.images.filter(image => image.status === 'update-available').map(image => image.image)
+    : [];
+
+  const handleServiceAction = (service, action) => runCardAction(
+    (onProgress) => onServiceAction(app.id, service, action, onProgress),
+    `Service ${service}: ${action} done`
+  );
+
   const getStatusClass = () => {
-    if (loading) return 'starting';
+    if (loading || health === 'starting') return 'starting';
+    if (health === 'unhealthy') return 'unhealthy';
     return app.status || 'stopped';
   };
 
   const getStatusText = () => {
     if (loading) return 'Loading...';
+    if (health === 'starting') return 'Starting';
+    if (health === 'unhealthy') return 'Unhealthy';
     switch (app.status) {
       case 'running':
         return 'Running';
@@ -55,11 +145,28 @@ function AppCard({ app, onStart, onStop }) {
     }
   };
 
+  const getJobLabel = () => {
+    // While prerequisites start the job says which one
+    if (job.phase === 'dependencies') return job.message;
+    const label = PHASE_LABELS[job.phase] || job.phase;
+    if (job.phase === 'pulling' && job.progress.percent !== null) {
+      return `${label} (${job.progress.percent}%)`;
+    }
+    return label;
+  };
+
   return (
     <div className={`app-card ${getStatusClass()}`}>
       <div className="app-card-header">
         <div className="app-icon">{app.icon || '📦'}</div>
-        <div className="app-status-badge">{getStatusText()}</div>
+        <div className="app-badges">
+          {updateAvailable && (
+            <div className="app-update-badge" title={`Newer image: ${updatedImages.join(', ')}`}>
+              Update available
+            </div>
+          )}
+          <div className="app-status-badge">{getStatusText()}</div>
+        </div>
       </div>
 
       <div className="app-card-body">
@@ -81,10 +188,80 @@ function AppCard({ app, onStart, onStop }) {
           </div>
         )}
 
+        {app.status !== 'stopped' && stats && stats.length > 0 && <ResourceUsage samples={stats} />}
+
+        {DEPENDENCY_FIELDS.filter(({ key }) => app[key] && app[key].length > 0).map(({ key, label }) => (
+          <div key={key} className="app-info">
+            <span className="info-label">{label}:</span>
+            <span className="info-value">{app[key].map(formatDependency).join(', ')}</span>
+          </div>
+        ))}
+
+        <div className="app-admin-actions">
+          <button className="settings-toggle" onClick={() => setShowHistory(true)}>
+            🕘 History
+          </button>
+          {canOperate && (
+            <>
+              {isAdmin && (
+                <button className="settings-toggle" onClick={() => setShowSettings(true)}>
+                  ⚙️ Settings
+                </button>
+              )}
+              <button className="settings-toggle" onClick={() => setShowBackups(true)}>
+                💾 Backups
+              </button>
+              {updateAvailable && (
+                <button className="settings-toggle" onClick={handleUpdate} disabled={loading}>
+                  ⬆️ Update
+                </button>
+              )}
+              {isAdmin && app.secrets && app.secrets.length > 0 && (
+                <button className="credentials-toggle" onClick={() => setShowCredentials(true)}>
+                  🔑 Credentials
+                </button>
+              )}
+            </>
+          )}
+        </div>
+
+        {services.length > 1 && (
+          <div className="app-services">
+            <button className="services-toggle" onClick={() => setExpanded(!expanded)}>
+              {expanded ? '▾' : '▸'} Services ({services.length})
+            </button>
+            {expanded && (
+              <ServiceList
+                app={app}
+                busy={loading}
+                readOnly={!canOperate}
+                onServiceAction={handleServiceAction}
+                onRestartAll={handleRestart}
+              />
+            )}
+          </div>
+        )}
+
+        {loading && job && (
+          <div className="job-progress">
+            <div className="job-progress-label">{getJobLabel()}</div>
+            <div className={`progress-bar ${job.phase === 'pulling' ? '' : 'indeterminate'}`}>
+              <div
+                className="progress-bar-fill"
+                style={{ width: job.phase === 'pulling' ? `${job.progress.percent || 0}%` : undefined }}
+              />
+            </div>
+          </div>
+        )}
+
         {successMessage && (
           <div className="message success">{successMessage}</div>
         )}
 
+        {health === 'unhealthy' && app.health.error && (
+          <div className="message error">Health check failed: {app.health.error}</div>
+        )}
+
         {error && (
           <div className="message error">{error}</div>
         )}
@@ -93,31 +270,81 @@ function AppCard({ app, onStart, onStop }) {
       <div className="app-card-footer">
         {app.status === 'running' ? (
           <>
+            {canOperate && (
+              <button
+                className="btn btn-secondary"
+                onClick={handleStop}
+                disabled={loading}
+              >
+                Stop
+              </button>
+            )}
             <button
               className="btn btn-secondary"
-              onClick={handleStop}
-              disabled={loading}
+              onClick={() => setShowLogs(true)}
             >
-              Stop
+              Logs
             </button>
             <button
               className="btn btn-primary"
-              onClick={() => window.open(`http://localhost:${app.port}${app.path || '/'}`, '_blank')}
+              onClick={() => window.open(app.url || `http://localhost:${app.port}${app.path || '/'}`, '_blank')}
               disabled={loading}
             >
               Open
             </button>
           </>
         ) : (
-          <button
-            className="btn btn-primary btn-full"
-            onClick={handleStart}
-            disabled={loading}
-          >
-            {loading ? 'Starting...' : 'Launch'}
-          </button>
+          <>
+            {canOperate ? (
+              <button
+                className="btn btn-primary btn-full"
+                onClick={handleStart}
+                disabled={loading}
+              >
+                {loading ? 'Launching...' : 'Launch'}
+              </button>
+            ) : (
+              <button className="btn btn-secondary btn-full" disabled title="Viewers cannot start applications">
+                Launch
+              </button>
+            )}
+            {app.status === 'partial' && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowLogs(true)}
+              >
+                Logs
+              </button>
+            )}
+          </>
         )}
       </div>
+
+      {showLogs && (
+        <LogDrawer app={app} onClose={() => setShowLogs(false)} />
+      )}
+
+      {showCredentials && (
+        <CredentialsDialog app={app} onClose={() => setShowCredentials(false)} />
+      )}
+
+      {showSettings && (
+        <AppSettingsDialog app={app} onClose={() => setShowSettings(false)} />
+      )}
+
+      {showBackups && (
+        <BackupsDialog
+          app={app}
+          onBackup={onBackup}
+          onRestore={onRestore}
+          isAdmin={isAdmin}
+          onClose={() => setShowBackups(false)}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryDialog app={app} onClose={() => setShowHistory(false)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import './CredentialsDialog.css';
+import './AppSettingsDialog.css';
+
+function VariableInput({ variable, value, onChange }) {
+  const placeholder = variable.default !== null ? String(variable.default) : '';
+
+  if (variable.options || variable.type === 'boolean') {
+    const options = variable.options || ['true', 'false'];
+    return (
+      <select id={variable.name} value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Default{placeholder ? ` (${placeholder})` : ''}</option>
+        {options.map(option => (
+          <option key={option} value={String(option)}>{String(option)}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      id={variable.name}
+      type={variable.type === 'number' ? 'number' : 'text'}
+      value={value}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  );
+}
+
+function AppSettingsDialog({ app, onClose }) {
+  const [config, setConfig] = useState(null);
+  const [values, setValues] = useState({});
+  const [override, setOverride] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const applyConfig = (data) => {
+    setConfig(data);
+    setValues(Object.fromEntries(data.variables.map(variable => [variable.name, variable.value || ''])));
+    setOverride(data.override || '');
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(`/api/apps/${app.id}/config`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load settings');
+        if (!cancelled) applyConfig(data);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [app.id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      // Keep overrides of variables the form does not show
+      const response = await fetch(`/api/apps/${app.id}/config`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ env: { ...config.env, ...values }, override })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save settings');
+
+      applyConfig(data);
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Rendered into <body> so the card's hover transform does not clip it
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>{app.icon || '📦'} {app.name} settings</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close settings">×</button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+        {message && <div className="message success">{message}</div>}
+        {!config && !error && <p className="credentials-empty">Loading...</p>}
+
+        {config && (
+          <form className="settings-form" onSubmit={handleSubmit}>
+            {config.variables.length === 0 && (
+              <p className="credentials-empty">This app declares no settings; use a compose override below.</p>
+            )}
+
+            {config.variables.map(variable => (
+              <div key={variable.name} className="settings-field">
+                <label htmlFor={variable.name}>
+                  {variable.label} <code>{variable.name}</code>
+                </label>
+                <VariableInput
+                  variable={variable}
+                  value={values[variable.name] || ''}
+                  onChange={(value) => setValues(prev => ({ ...prev, [variable.name]: value }))}
+                />
+                {variable.description && <span className="settings-hint">{variable.description}</span>}
+              </div>
+            ))}
+
+            <div className="settings-field">
+              <label htmlFor="compose-override">Compose override</label>
+              <textarea
+                id="compose-override"
+                rows={6}
+                spellCheck={false}
+                value={override}
+                placeholder={'services:\n  my-service:\n    ports:\n      - "9999:80"'}
+                onChange={(e) => setOverride(e.target.value)}
+              />
+              <span className="settings-hint">Merged over the app's docker-compose.yml at launch</span>
+            </div>
+
+            <div className="settings-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default AppSettingsDialog;
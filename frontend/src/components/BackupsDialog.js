@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { formatBytes } from './ResourceUsage';
+import './CredentialsDialog.css';
+import './BackupsDialog.css';
+
+function BackupsDialog({ app, onBackup, onRestore, isAdmin, onClose }) {
+  const [backups, setBackups] = useState(null);
+  const [mode, setMode] = useState('stop');
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/apps/${app.id}/backups`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load backups');
+      setBackups(data.backups);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [app.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Run a backup job or request, given as async () => success message,
+  // then show the list as it is now
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    setJob(null);
+
+    try {
+      setMessage(await action());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+      setJob(null);
+      await load();
+    }
+  };
+
+  const handleBackup = () => run(async () => {
+    const { result } = await onBackup(app.id, mode, setJob);
+    const expired = result.pruned.length;
+    return expired > 0 ? `Backup created, ${expired} expired backup${expired === 1 ? '' : 's'} deleted` : 'Backup created';
+  });
+
+  const handleRestore = (backup) => {
+    const when = new Date(backup.createdAt).toLocaleString();
+    if (!window.confirm(`Replace the data of ${app.name} with the backup from ${when}? Changes since then are lost.`)) return;
+    run(async () => {
+      await onRestore(app.id, backup.id, setJob);
+      return 'Backup restored';
+    });
+  };
+
+  const handleDelete = (backup) => {
+    if (!window.confirm(`Delete the backup from ${new Date(backup.createdAt).toLocaleString()}?`)) return;
+    run(async () => {
+      const response = await fetch(`/api/apps/${app.id}/backups/${backup.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete backup');
+      return 'Backup deleted';
+    });
+  };
+
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>💾 Backups of {app.name}</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close backups">×</button>
+        </div>
+
+        <div className="backups-create">
+          <select value={mode} onChange={(e) => setMode(e.target.value)} disabled={busy}>
+            <option value="stop">Stop the app meanwhile</option>
+            <option value="pause">Pause the app meanwhile</option>
+          </select>
+          <button className="btn btn-primary" onClick={handleBackup} disabled={busy}>
+            {busy ? 'Working...' : 'Back up now'}
+          </button>
+        </div>
+
+        {busy && job && job.message && (
+          <div className="job-progress">
+            <div className="job-progress-label">{job.message}</div>
+            <div className="progress-bar indeterminate">
+              <div className="progress-bar-fill" />
+            </div>
+          </div>
+        )}
+
+        {error && <div className="message error">{error}</div>}
+        {message && <div className="message success">{message}</div>}
+        {!backups && !error && <p className="credentials-empty">Loading...</p>}
+        {backups && backups.length === 0 && <p className="credentials-empty">No backups yet.</p>}
+
+        {backups && backups.length > 0 && (
+          <ul className="backups-list">
+            {backups.map(backup => (
+              <li key={backup.id}>
+                <div className="backup-title">
+                  <strong>{new Date(backup.createdAt).toLocaleString()}</strong>
+                  <span className="backup-size">{formatBytes(backup.size)}</span>
+                </div>
+                <p className="backup-mounts">
+                  {backup.mounts.map(mount => `${mount.service}:${mount.destination}`).join(', ')}
+                </p>
+                {isAdmin && (
+                  <div className="backup-actions">
+                    <button className="btn btn-secondary" onClick={() => handleRestore(backup)} disabled={busy}>
+                      Restore
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => handleDelete(backup)} disabled={busy}>
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default BackupsDialog;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import './CredentialsDialog.css';
+
+function CredentialsDialog({ app, onClose }) {
+  const [secrets, setSecrets] = useState(null);
+  const [visible, setVisible] = useState({});
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(`/api/apps/${app.id}/secrets`, { cache: 'no-store' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load credentials');
+        if (!cancelled) setSecrets(data.secrets);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [app.id]);
+
+  const handleCopy = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret.value);
+      setCopied(secret.name);
+    } catch (err) {
+      setError('Copying needs a secure (HTTPS) connection; use Show instead');
+    }
+  };
+
+  const toggle = (name) => setVisible(prev => ({ ...prev, [name]: !prev[name] }));
+
+  // Rendered into <body> so the card's hover transform does not clip it
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>{app.icon || '📦'} {app.name} credentials</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close credentials">×</button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+        {!secrets && !error && <p className="credentials-empty">Loading...</p>}
+
+        {secrets && (
+          <ul className="credentials-list">
+            {secrets.map(secret => (
+              <li key={secret.name}>
+                <div className="credentials-name">
+                  <code>{secret.name}</code>
+                  {secret.description && <span>{secret.description}</span>}
+                </div>
+                {secret.value === null ? (
+                  <span className="credentials-pending">Generated on first launch</span>
+                ) : (
+                  <div className="credentials-value">
+                    <code>{visible[secret.name] ? secret.value : '••••••••••••'}</code>
+                    <button onClick={() => toggle(secret.name)}>
+                      {visible[secret.name] ? 'Hide' : 'Show'}
+                    </button>
+                    <button onClick={() => handleCopy(secret)}>
+                      {copied === secret.name ? 'Copied' : 'Copy'}
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default CredentialsDialog;
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import './CredentialsDialog.css';
+import './AppSettingsDialog.css';
+import './HistoryDialog.css';
+
+const PAGE_SIZE = 50;
+
+const EVENT_LABELS = {
+  started: 'Started',
+  stopped: 'Stopped',
+  restarted: 'Restarted',
+  updated: 'Updated',
+  'backed-up': 'Backed up',
+  restored: 'Restored',
+  'service-started': 'Service started',
+  'service-stopped': 'Service stopped',
+  'service-restarted': 'Service restarted',
+  'health-changed': 'Health changed',
+  crashed: 'Crashed'
+};
+
+// Failed operations, crashes and failed health checks stand out in the timeline
+function eventTone(event) {
+  if (event.type === 'crashed' || event.outcome === 'failed') return 'bad';
+  if (event.type === 'health-changed') return event.details.health === 'healthy' ? 'good' : 'bad';
+  return 'good';
+}
+
+function describeEvent(event) {
+  const { details } = event;
+  switch (event.type) {
+    case 'health-changed':
+      return `Now ${details.health}`;
+    case 'service-started':
+    case 'service-stopped':
+    case 'service-restarted':
+      return details.service;
+    case 'backed-up':
+      return details.mode === 'pause' ? 'While paused' : null;
+    case 'restored':
+      return `Backup ${details.backupId}`;
+    case 'updated':
+      if (!details.images) return null;
+      return details.recreated ? `New ${details.images.join(', ')}` : 'Already up to date';
+    default:
+      return null;
+  }
+}
+
+function describeRequester(event) {
+  if (event.user && event.scheduleId) return `by ${event.user}, from a schedule`;
+  if (event.user) return `by ${event.user}`;
+  if (event.scheduleId) return 'by a schedule';
+  return null;
+}
+
+// One app's timeline when given an app, otherwise every app's
+function HistoryDialog({ app, apps = [], onClose }) {
+  const [events, setEvents] = useState(null);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [type, setType] = useState('');
+  const [appId, setAppId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const appName = (id) => {
+    const found = apps.find(candidate => candidate.id === id);
+    return found ? found.name : id;
+  };
+
+  // The card passes a new app object with every status change, keep the list
+  const ownAppId = app ? app.id : null;
+
+  const fetchPage = useCallback(async (before) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    if (before) params.set('before', before);
+    if (type) params.set('type', type);
+    if (!ownAppId && appId) params.set('appId', appId);
+
+    const url = ownAppId ? `/api/apps/${ownAppId}/history` : '/api/events/history';
+    const response = await fetch(`${url}?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load the history');
+    return data;
+  }, [ownAppId, appId, type]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setEvents(null);
+    setError(null);
+
+    fetchPage(null)
+      .then(data => {
+        if (cancelled) return;
+        setEvents(data.events);
+        setNextBefore(data.nextBefore);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchPage]);
+
+  const loadOlder = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await fetchPage(nextBefore);
+      setEvents(prev => [...prev, ...data.events]);
+      setNextBefore(data.nextBefore);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog history-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>🕘 {app ? `${app.name} history` : 'History'}</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close history">×</button>
+        </div>
+
+        <div className="history-filters">
+          {!app && (
+            <select value={appId} onChange={(e) => setAppId(e.target.value)} aria-label="Filter by app">
+              <option value="">All apps</option>
+              {apps.map(candidate => <option key={candidate.id} value={candidate.id}>{candidate.name}</option>)}
+            </select>
+          )}
+          <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Filter by event">
+            <option value="">All events</option>
+            {Object.entries(EVENT_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+        {!events && !error && <p className="credentials-empty">Loading...</p>}
+        {events && events.length === 0 && <p className="credentials-empty">Nothing has happened yet.</p>}
+
+        {events && events.length > 0 && (
+          <ol className="history-timeline">
+            {events.map(event => {
+              const summary = describeEvent(event);
+              const requester = describeRequester(event);
+              return (
+                <li key={event.id} className={`history-event history-event-${eventTone(event)}`}>
+                  <div className="history-title">
+                    <strong>{EVENT_LABELS[event.type] || event.type}</strong>
+                    {!app && <span>{appName(event.appId)}</span>}
+                    {event.outcome === 'failed' && <span className="history-failed">failed</span>}
+                  </div>
+                  <p className="history-meta">
+                    {new Date(event.at).toLocaleString()}
+                    {summary && ` · ${summary}`}
+                    {requester && ` · ${requester}`}
+                  </p>
+                  {event.message && <p className="history-message">{event.message}</p>}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+
+        {nextBefore && (
+          <div className="settings-actions">
+            <button className="btn btn-secondary" onClick={loadOlder} disabled={loading}>
+              {loading ? 'Loading...' : 'Load older'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default HistoryDialog;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { formatBytes, formatRate } from './ResourceUsage';
+import './HostSummary.css';
+
+// Totals of all running apps against what the Docker host has
+function HostSummary({ host }) {
+  const items = [
+    { label: 'CPU', value: host.cpuPercent === null ? '–' : `${host.cpuPercent.toFixed(1)}%`, detail: `of ${host.cpus} cores` },
+    { label: 'Memory', value: formatBytes(host.memoryUsage), detail: `of ${formatBytes(host.memoryTotal)}` },
+    { label: 'Network', value: `↓ ${formatRate(host.networkRxRate)}`, detail: `↑ ${formatRate(host.networkTxRate)}` },
+    { label: 'Disk', value: `↓ ${formatRate(host.blockReadRate)}`, detail: `↑ ${formatRate(host.blockWriteRate)}` },
+    { label: 'Running', value: host.runningApps, detail: host.runningApps === 1 ? 'app' : 'apps' }
+  ];
+
+  return (
+    <div className="host-summary">
+      {items.map(item => (
+        <div key={item.label} className="host-summary-item">
+          <span className="host-summary-label">{item.label}</span>
+          <span className="host-summary-value">{item.value}</span>
+          <span className="host-summary-detail">{item.detail}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default HostSummary;
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import './LogDrawer.css';
+
+// Keep the browser responsive for chatty containers
+const MAX_LINES = 5000;
+
+function LogDrawer({ app, onClose }) {
+  const [lines, setLines] = useState([]);
+  const [service, setService] = useState('');
+  const [search, setSearch] = useState('');
+  const [paused, setPaused] = useState(false);
+  const [showTimestamps, setShowTimestamps] = useState(false);
+  const [connected, setConnected] = useState(false);
+  const [ended, setEnded] = useState(false);
+
+  // Lines received while paused are held here and flushed on resume
+  const pausedBuffer = useRef([]);
+  const pausedRef = useRef(paused);
+  const bottomRef = useRef(null);
+
+  const services = (app.composeInfo && app.composeInfo.services) || [];
+
+  useEffect(() => {
+    pausedRef.current = paused;
+    if (!paused && pausedBuffer.current.length > 0) {
+      const buffered = pausedBuffer.current;
+      pausedBuffer.current = [];
+      setLines(prev => [...prev, ...buffered].slice(-MAX_LINES));
+    }
+  }, [paused]);
+
+  useEffect(() => {
+    setLines([]);
+    setEnded(false);
+    pausedBuffer.current = [];
+
+    const params = new URLSearchParams({ tail: '500' });
+    if (service) params.set('service', service);
+
+    const eventSource = new EventSource(`/api/apps/${app.id}/logs/stream?${params}`);
+
+    eventSource.onopen = () => setConnected(true);
+    eventSource.onerror = () => setConnected(false);
+
+    eventSource.addEventListener('log', (event) => {
+      const line = JSON.parse(event.data);
+      if (pausedRef.current) {
+        pausedBuffer.current.push(line);
+      } else {
+        setLines(prev => [...prev, line].slice(-MAX_LINES));
+      }
+    });
+
+    eventSource.addEventListener('end', () => setEnded(true));
+
+    return () => eventSource.close();
+  }, [app.id, service]);
+
+  useEffect(() => {
+    if (!paused && bottomRef.current) {
+      bottomRef.current.scrollIntoView({ block: 'end' });
+    }
+  }, [lines, paused]);
+
+  const visibleLines = search
+    ? lines.filter(line => line.message.toLowerCase().includes(search.toLowerCase()))
+    : lines;
+
+  const formatLine = (line) => {
+    const prefix = showTimestamps ? `${line.timestamp} ` : '';
+    return `${prefix}${line.service} | ${line.message}`;
+  };
+
+  const handleDownload = () => {
+    const text = visibleLines
+      .map(line => `${line.timestamp} ${line.service} | ${line.message}`)
+      .join('\n');
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${app.id.replace(/\//g, '-')}-logs.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Rendered into <body> so the card's hover transform does not clip it
+  return createPortal(
+    <div className="log-drawer-backdrop" onClick={onClose}>
+      <div className="log-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="log-drawer-header">
+          <h3>
+            {app.icon || '📦'} {app.name} logs
+            <span className={`log-connection ${connected ? 'connected' : ''}`}>
+              {connected ? (ended ? 'ended' : 'live') : 'connecting'}
+            </span>
+          </h3>
+          <button className="log-drawer-close" onClick={onClose} aria-label="Close logs">×</button>
+        </div>
+
+        <div className="log-drawer-toolbar">
+          <input
+            type="text"
+            placeholder="Search logs..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="log-search"
+          />
+          {services.length > 1 && (
+            <select value={service} onChange={(e) => setService(e.target.value)}>
+              <option value="">All services</option>
+              {services.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+          <label className="log-toggle">
+            <input
+              type="checkbox"
+              checked={showTimestamps}
+              onChange={(e) => setShowTimestamps(e.target.checked)}
+            />
+            <span>Timestamps</span>
+          </label>
+          <button className="btn btn-secondary" onClick={() => setPaused(!paused)}>
+            {paused ? 'Resume' : 'Pause'}
+          </button>
+          <button className="btn btn-secondary" onClick={handleDownload} disabled={visibleLines.length === 0}>
+            Download
+          </button>
+        </div>
+
+        <pre className="log-drawer-body">
+          {visibleLines.length === 0 ? (
+            <span className="log-empty">{search ? 'No matching lines' : 'Waiting for log output...'}</span>
+          ) : (
+            visibleLines.map((line, index) => (
+              <div key={index} className={`log-line ${line.stream}`}>{formatLine(line)}</div>
+            ))
+          )}
+          <div ref={bottomRef} />
+        </pre>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default LogDrawer;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import './CredentialsDialog.css';
+import './NetworksDialog.css';
+
+function NetworksDialog({ canOperate, onClose }) {
+  const [networks, setNetworks] = useState(null);
+  const [repairing, setRepairing] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch('/api/networks');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load networks');
+      setNetworks(data.networks);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleRepair = async (name) => {
+    setRepairing(name);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch(`/api/networks/${encodeURIComponent(name)}/repair`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        const containers = data.details && data.details.containers;
+        throw new Error(containers ? `${data.error}: ${containers.join(', ')}` : data.error || 'Repair failed');
+      }
+      setMessage(data.message);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRepairing(null);
+    }
+  };
+
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>🔗 Networks</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close networks">×</button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+        {message && <div className="message success">{message}</div>}
+        {!networks && !error && <p className="credentials-empty">Loading...</p>}
+        {networks && networks.length === 0 && <p className="credentials-empty">No app uses a shared network.</p>}
+
+        {networks && (
+          <ul className="networks-list">
+            {networks.map(network => {
+              const attached = network.apps.filter(app => app.attached);
+              return (
+                <li key={network.name}>
+                  <div className="network-title">
+                    <code>{network.name}</code>
+                    <span className={`network-state ${network.issues.length > 0 ? 'network-state-bad' : 'network-state-ok'}`}>
+                      {network.exists ? (network.issues.length > 0 ? 'Misconfigured' : 'OK') : 'Missing'}
+                    </span>
+                    {network.driver && <span className="network-driver">{network.driver}</span>}
+                  </div>
+
+                  {network.issues.map(issue => (
+                    <p key={issue.code} className="network-issue">{network.name} {issue.message}</p>
+                  ))}
+
+                  <p className="network-apps">
+                    Used by {network.apps.length} app{network.apps.length === 1 ? '' : 's'}
+                    {attached.length > 0 ? `, attached: ${attached.map(app => app.appId).join(', ')}` : ', none running'}
+                  </p>
+                  {network.otherContainers.length > 0 && (
+                    <p className="network-apps">Other containers: {network.otherContainers.join(', ')}</p>
+                  )}
+
+                  {canOperate && network.issues.length > 0 && (
+                    <button
+                      className="btn btn-primary"
+                      disabled={repairing === network.name}
+                      onClick={() => handleRepair(network.name)}
+                    >
+                      {repairing === network.name ? 'Repairing...' : network.exists ? 'Recreate' : 'Create'}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default NetworksDialog;
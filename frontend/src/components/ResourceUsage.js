@@ -0,0 +1,45 @@
+import React from 'react';
+import Sparkline from './Sparkline';
+import './ResourceUsage.css';
+
+const UNITS = ['B', 'kB', 'MB', 'GB', 'TB'];
+
+export function formatBytes(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1000 && unit < UNITS.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${value < 10 && unit > 0 ? value.toFixed(1) : Math.round(value)} ${UNITS[unit]}`;
+}
+
+export function formatRate(bytesPerSecond) {
+  return bytesPerSecond === null ? '–' : `${formatBytes(bytesPerSecond)}/s`;
+}
+
+// CPU and memory over the last minutes of a running app, with its current IO
+function ResourceUsage({ samples }) {
+  const latest = samples[samples.length - 1];
+
+  return (
+    <div className="resource-usage">
+      <div className="resource-row">
+        <span className="info-label">CPU</span>
+        <Sparkline values={samples.map(sample => sample.cpuPercent)} label="CPU usage" />
+        <span className="info-value">{latest.cpuPercent.toFixed(1)}%</span>
+      </div>
+      <div className="resource-row">
+        <span className="info-label">Memory</span>
+        <Sparkline values={samples.map(sample => sample.memoryUsage)} label="Memory usage" />
+        <span className="info-value">{formatBytes(latest.memoryUsage)}</span>
+      </div>
+      <div className="resource-io">
+        <span>Net ↓ {formatRate(latest.networkRxRate)} ↑ {formatRate(latest.networkTxRate)}</span>
+        <span>Disk ↓ {formatRate(latest.blockReadRate)} ↑ {formatRate(latest.blockWriteRate)}</span>
+      </div>
+    </div>
+  );
+}
+
+export default ResourceUsage;
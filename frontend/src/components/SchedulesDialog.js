@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import './CredentialsDialog.css';
+import './AppSettingsDialog.css';
+import './SchedulesDialog.css';
+
+const ACTIONS = ['start', 'stop', 'restart', 'backup', 'update'];
+
+// Keeps next and last runs current while the dialog is open
+const REFRESH_INTERVAL = 10 * 1000;
+
+const EMPTY_FORM = { appId: '', action: 'restart', cron: '0 4 * * *', mode: 'stop', missedRuns: 'run' };
+
+function formatTime(time) {
+  return time ? new Date(time).toLocaleString() : '–';
+}
+
+function SchedulesDialog({ apps, canOperate, isAdmin, onClose }) {
+  const [schedules, setSchedules] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const appName = (appId) => {
+    const app = apps.find(candidate => candidate.id === appId);
+    return app ? app.name : appId;
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const [schedulesResponse, historyResponse] = await Promise.all([
+        fetch('/api/schedules'),
+        fetch('/api/schedules/history?limit=20')
+      ]);
+      const data = await schedulesResponse.json();
+      const history = await historyResponse.json();
+      if (!schedulesResponse.ok) throw new Error(data.error || 'Failed to load schedules');
+      if (!historyResponse.ok) throw new Error(history.error || 'Failed to load the schedule history');
+      setSchedules(data.schedules);
+      setRuns(history.runs);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  // Send a request, given as async () => success message, then reload
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      setMessage(await action());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+      await load();
+    }
+  };
+
+  const request = async (url, options, failure) => {
+    const response = await fetch(url, options);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || failure);
+    return data;
+  };
+
+  const save = (schedule, changes) => request(`/api/schedules/${schedule.id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: schedule.name,
+      appId: schedule.appId,
+      action: schedule.action,
+      cron: schedule.cron,
+      options: schedule.options,
+      enabled: schedule.enabled,
+      missedRuns: schedule.missedRuns,
+      ...changes
+    })
+  }, 'Failed to save schedule');
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await request('/api/schedules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          appId: form.appId,
+          action: form.action,
+          cron: form.cron,
+          missedRuns: form.missedRuns,
+          ...(form.action === 'backup' && { options: { mode: form.mode } })
+        })
+      }, 'Failed to create schedule');
+      setForm(EMPTY_FORM);
+      return data.message;
+    });
+  };
+
+  const handleToggle = (schedule) => run(async () => {
+    await save(schedule, { enabled: !schedule.enabled });
+    return `Schedule ${schedule.name} ${schedule.enabled ? 'paused' : 'enabled'}`;
+  });
+
+  const handleRun = (schedule) => run(async () => {
+    const data = await request(`/api/schedules/${schedule.id}/run`, { method: 'POST' }, 'Failed to run schedule');
+    return data.message;
+  });
+
+  const handleDelete = (schedule) => {
+    if (!window.confirm(`Delete the schedule ${schedule.name}?`)) return;
+    run(async () => {
+      const data = await request(`/api/schedules/${schedule.id}`, { method: 'DELETE' }, 'Failed to delete schedule');
+      return data.message;
+    });
+  };
+
+  const setField = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog schedules-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>⏰ Schedules</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close schedules">×</button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+        {message && <div className="message success">{message}</div>}
+        {!schedules && !error && <p className="credentials-empty">Loading...</p>}
+        {schedules && schedules.length === 0 && <p className="credentials-empty">No schedules yet.</p>}
+
+        {schedules && schedules.length > 0 && (
+          <ul className="schedules-list">
+            {schedules.map(schedule => (
+              <li key={schedule.id} className={schedule.enabled ? '' : 'schedule-disabled'}>
+                <div className="schedule-title">
+                  <strong>{schedule.name}</strong>
+                  <code>{schedule.cron}</code>
+                  {schedule.running && <span className="schedule-outcome">running</span>}
+                  {!schedule.running && schedule.lastRun && (
+                    <span className={`schedule-outcome schedule-outcome-${schedule.lastRun.outcome}`}>
+                      {schedule.lastRun.outcome}
+                    </span>
+                  )}
+                </div>
+                <p className="schedule-times">
+                  {appName(schedule.appId)} · next {schedule.enabled ? formatTime(schedule.nextRunAt) : 'paused'}
+                  {schedule.lastRun && ` · last ${formatTime(schedule.lastRun.finishedAt)}`}
+                </p>
+                {schedule.lastRun && schedule.lastRun.error && (
+                  <p className="schedule-error">{schedule.lastRun.error}</p>
+                )}
+                {canOperate && (
+                  <div className="schedule-actions">
+                    <button className="btn btn-secondary" onClick={() => handleRun(schedule)} disabled={busy || schedule.running}>
+                      Run now
+                    </button>
+                    {isAdmin && (
+                      <>
+                        <button className="btn btn-secondary" onClick={() => handleToggle(schedule)} disabled={busy}>
+                          {schedule.enabled ? 'Pause' : 'Enable'}
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => handleDelete(schedule)} disabled={busy}>
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {isAdmin && (
+          <form className="settings-form schedule-form" onSubmit={handleCreate}>
+            <h4>New schedule</h4>
+            <div className="settings-field">
+              <label htmlFor="schedule-app">App</label>
+              <select id="schedule-app" value={form.appId} onChange={setField('appId')} required>
+                <option value="">Choose an app...</option>
+                {apps.map(app => <option key={app.id} value={app.id}>{app.name}</option>)}
+              </select>
+            </div>
+            <div className="settings-field">
+              <label htmlFor="schedule-action">Action</label>
+              <select id="schedule-action" value={form.action} onChange={setField('action')}>
+                {ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+              </select>
+            </div>
+            {form.action === 'backup' && (
+              <div className="settings-field">
+                <label htmlFor="schedule-mode">While backing up</label>
+                <select id="schedule-mode" value={form.mode} onChange={setField('mode')}>
+                  <option value="stop">Stop the app</option>
+                  <option value="pause">Pause the app</option>
+                </select>
+              </div>
+            )}
+            <div className="settings-field">
+              <label htmlFor="schedule-cron">When</label>
+              <input id="schedule-cron" type="text" value={form.cron} onChange={setField('cron')} required />
+              <span className="settings-hint">
+                Cron: minute hour day-of-month month day-of-week, e.g. <code>0 1 * * *</code> at 01:00
+                or <code>0 */6 * * *</code> every 6 hours, in the timezone from Settings
+              </span>
+            </div>
+            <div className="settings-field">
+              <label htmlFor="schedule-missed">If Hamnen was down at the time</label>
+              <select id="schedule-missed" value={form.missedRuns} onChange={setField('missedRuns')}>
+                <option value="run">Run once when it is back</option>
+                <option value="skip">Skip the run</option>
+              </select>
+            </div>
+            <div className="settings-actions">
+              <button type="submit" className="btn btn-primary" disabled={busy}>Add schedule</button>
+            </div>
+          </form>
+        )}
+
+        {runs.length > 0 && (
+          <div className="schedule-history">
+            <h4>Recent runs</h4>
+            <ul>
+              {runs.map(entry => (
+                <li key={entry.id}>
+                  <span className={`schedule-outcome schedule-outcome-${entry.outcome}`}>{entry.outcome}</span>
+                  {formatTime(entry.finishedAt)} · {entry.action} {appName(entry.appId)}
+                  {entry.trigger !== 'schedule' && ` (${entry.trigger})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default SchedulesDialog;
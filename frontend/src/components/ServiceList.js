@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import './ServiceList.css';
+
+const CONDITION_LABELS = {
+  running: 'Running',
+  starting: 'Starting',
+  unhealthy: 'Unhealthy',
+  restarting: 'Restarting',
+  completed: 'Completed',
+  failed: 'Failed',
+  stopped: 'Stopped',
+  created: 'Created',
+  paused: 'Paused'
+};
+
+const formatUptime = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+};
+
+function ServiceList({ app, busy, readOnly, onServiceAction, onRestartAll }) {
+  const [containers, setContainers] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Refetch the detailed view whenever the live status of any container changes
+  const statusKey = (app.containers || [])
+    .map(c => `${c.name}:${c.condition}`)
+    .join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDetails = async () => {
+      try {
+        const response = await fetch(`/api/apps/${app.id}`);
+        if (!response.ok) throw new Error('Failed to load service details');
+        const data = await response.json();
+        if (!cancelled) {
+          setContainers(data.containers);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    loadDetails();
+    return () => {
+      cancelled = true;
+    };
+  }, [app.id, app.status, statusKey]);
+
+  if (error) {
+    return <div className="message error">{error}</div>;
+  }
+
+  if (!containers) {
+    return <div className="service-list-loading">Loading services...</div>;
+  }
+
+  // Declared services without a container yet are listed as not created
+  const declared = (app.composeInfo && app.composeInfo.services) || [];
+  const rows = declared.map(service => ({
+    service,
+    container: containers.find(c => c.service === service) || null
+  }));
+
+  const isUp = (condition) => ['running', 'starting', 'unhealthy', 'restarting'].includes(condition);
+
+  return (
+    <>
+      <ul className="service-list">
+        {rows.map(({ service, container }) => {
+          const condition = container ? container.condition : 'absent';
+          return (
+            <li key={service} className={`service-row ${condition}`}>
+              <div className="service-row-main">
+                <span className="service-name">{service}</span>
+                <span className="service-condition">
+                  {CONDITION_LABELS[condition] || (container ? condition : 'Not created')}
+                </span>
+              </div>
+              {!readOnly && (
+                <div className="service-row-actions">
+                  {isUp(condition) ? (
+                    <>
+                      <button onClick={() => onServiceAction(service, 'restart')} disabled={busy}>Restart</button>
+                      <button onClick={() => onServiceAction(service, 'stop')} disabled={busy}>Stop</button>
+                    </>
+                  ) : (
+                    <button onClick={() => onServiceAction(service, 'start')} disabled={busy}>Start</button>
+                  )}
+                </div>
+              )}
+              {container && (
+                <div className="service-row-details">
+                  {container.health && <span>health: {container.health}</span>}
+                  {container.uptime !== null && <span>up {formatUptime(container.uptime)}</span>}
+                  {container.exitCode !== null && <span>exit code {container.exitCode}</span>}
+                  {container.restartCount > 0 && <span>{container.restartCount} restarts</span>}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {!readOnly && app.status !== 'stopped' && (
+        <button className="btn btn-secondary service-restart-all" onClick={onRestartAll} disabled={busy}>
+          Restart all services
+        </button>
+      )}
+    </>
+  );
+}
+
+export default ServiceList;
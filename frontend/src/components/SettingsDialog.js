@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import './CredentialsDialog.css';
+import './AppSettingsDialog.css';
+
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const FIELDS = [
+  { key: 'timezone', label: 'Timezone', hint: 'Passed to apps as TZ', type: 'text', list: 'timezones' },
+  { key: 'puid', label: 'User ID', hint: 'Passed to apps as PUID, the owner of files they write', type: 'number' },
+  { key: 'pgid', label: 'Group ID', hint: 'Passed to apps as PGID', type: 'number' },
+  { key: 'dataRoot', label: 'Data folder', hint: 'Path on the Docker host; each app keeps its data in <category>/<app> below it', type: 'text' },
+  { key: 'proxy', label: 'Reverse proxy', hint: 'Serve each app at <app>.<domain> through the Traefik or Caddy app', type: 'select', options: ['none', 'traefik', 'caddy'] },
+  { key: 'baseDomain', label: 'Domain', hint: 'e.g. home.lan; a wildcard DNS record must point *.<domain> at this host', type: 'text' },
+  { key: 'baseHost', label: 'Host for app links', hint: 'e.g. nas.local or 192.168.1.10; empty uses the address this page was opened on', type: 'text' },
+  { key: 'backupDir', label: 'Backup folder', hint: 'Path on the Docker host; backups go to <category>/<app> below it', type: 'text' },
+  { key: 'backupKeep', label: 'Backups to keep', hint: 'Per app, older ones are deleted after each backup; 0 keeps all', type: 'number' },
+  { key: 'backupMaxAgeDays', label: 'Backup age limit (days)', hint: 'Backups older than this are deleted after each backup; 0 for no limit', type: 'number' }
+];
+
+function toForm(settings) {
+  return Object.fromEntries(FIELDS.map(field => [field.key, String(settings[field.key])]));
+}
+
+function SettingsDialog({ onClose }) {
+  const [values, setValues] = useState(null);
+  const [defaults, setDefaults] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch('/api/settings');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load settings');
+        if (!cancelled) {
+          setValues(toForm(data.settings));
+          setDefaults(data.defaults);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    // An emptied field goes back to its default
+    const changes = Object.fromEntries(FIELDS.map(({ key, type }) => {
+      const value = values[key].trim();
+      if (value === '') return [key, null];
+      return [key, type === 'number' ? Number(value) : value];
+    }));
+
+    try {
+      const response = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save settings');
+
+      setValues(toForm(data.settings));
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>⚙️ Settings</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close settings">×</button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+        {message && <div className="message success">{message}</div>}
+        {!values && !error && <p className="credentials-empty">Loading...</p>}
+
+        {values && (
+          <form className="settings-form" onSubmit={handleSubmit}>
+            {FIELDS.map(field => (
+              <div key={field.key} className="settings-field">
+                <label htmlFor={`setting-${field.key}`}>{field.label}</label>
+                {field.type === 'select' ? (
+                  <select
+                    id={`setting-${field.key}`}
+                    value={values[field.key]}
+                    onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  >
+                    {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    id={`setting-${field.key}`}
+                    type={field.type}
+                    list={field.list}
+                    value={values[field.key]}
+                    placeholder={defaults[field.key] !== undefined ? String(defaults[field.key]) : ''}
+                    onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  />
+                )}
+                <span className="settings-hint">{field.hint}</span>
+              </div>
+            ))}
+
+            <datalist id="timezones">
+              {TIMEZONES.map(zone => <option key={zone} value={zone} />)}
+            </datalist>
+
+            <p className="settings-hint">
+              Apps pick up new settings when they are restarted. Changing the data folder does not move existing data.
+            </p>
+
+            <div className="settings-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default SettingsDialog;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+const WIDTH = 100;
+const HEIGHT = 24;
+
+// A small line chart of recent values, scaled to their own maximum
+function Sparkline({ values, label }) {
+  if (values.length < 2) return <svg className="sparkline" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} aria-label={label} />;
+
+  const max = Math.max(...values) || 1;
+  const step = WIDTH / (values.length - 1);
+  const points = values
+    .map((value, index) => `${(index * step).toFixed(1)},${(HEIGHT - (value / max) * (HEIGHT - 2) - 1).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg className="sparkline" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" aria-label={label}>
+      <polyline points={points} fill="none" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+export default Sparkline;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import './CredentialsDialog.css';
+import './AppSettingsDialog.css';
+import './StacksSection.css';
+
+// Create a stack, or edit one when `stack` is given. Env overrides of its
+// apps are kept as they are; they are edited in the stack's YAML file.
+function StackDialog({ stack, apps, onSaved, onClose }) {
+  const [id, setId] = useState('');
+  const [name, setName] = useState(stack ? stack.name : '');
+  const [description, setDescription] = useState(stack ? stack.description : '');
+  const [members, setMembers] = useState(stack ? stack.apps.map(({ appId, env }) => ({ appId, env })) : []);
+  const [adding, setAdding] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const available = apps.filter(app => !members.some(member => member.appId === app.id));
+  const appName = (appId) => {
+    const app = apps.find(candidate => candidate.id === appId);
+    return app ? app.name : appId;
+  };
+
+  const move = (index, offset) => {
+    setMembers(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const handleAdd = () => {
+    if (!adding) return;
+    setMembers(prev => [...prev, { appId: adding, env: {} }]);
+    setAdding('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch(stack ? `/api/stacks/${stack.id}` : '/api/stacks', {
+        method: stack ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...(!stack && { id }), name, description, apps: members })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save stack');
+      onSaved(data.stack);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return createPortal(
+    <div className="credentials-backdrop" onClick={onClose}>
+      <div className="credentials-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="credentials-header">
+          <h3>{stack ? `Edit ${stack.name}` : 'New stack'}</h3>
+          <button className="credentials-close" onClick={onClose} aria-label="Close stack">×</button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+
+        <form className="settings-form" onSubmit={handleSubmit}>
+          {!stack && (
+            <div className="settings-field">
+              <label htmlFor="stack-id">ID</label>
+              <input id="stack-id" value={id} placeholder="media" onChange={(e) => setId(e.target.value)} />
+              <span className="settings-hint">Lowercase letters, digits and dashes; names the stack's file</span>
+            </div>
+          )}
+
+          <div className="settings-field">
+            <label htmlFor="stack-name">Name</label>
+            <input id="stack-name" value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+
+          <div className="settings-field">
+            <label htmlFor="stack-description">Description</label>
+            <input id="stack-description" value={description} onChange={(e) => setDescription(e.target.value)} />
+          </div>
+
+          <div className="settings-field">
+            <label>Apps</label>
+            <span className="settings-hint">Started from the top down and stopped from the bottom up</span>
+            <ol className="stack-edit-list">
+              {members.map((member, index) => (
+                <li key={member.appId}>
+                  <span className="stack-edit-name">
+                    {appName(member.appId)}
+                    {Object.keys(member.env).length > 0 && <code> +{Object.keys(member.env).length} env</code>}
+                  </span>
+                  <button type="button" disabled={index === 0} onClick={() => move(index, -1)} aria-label="Move up">↑</button>
+                  <button type="button" disabled={index === members.length - 1} onClick={() => move(index, 1)} aria-label="Move down">↓</button>
+                  <button
+                    type="button"
+                    onClick={() => setMembers(prev => prev.filter((_, i) => i !== index))}
+                    aria-label={`Remove ${member.appId}`}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <div className="stack-edit-add">
+              <select value={adding} onChange={(e) => setAdding(e.target.value)}>
+                <option value="">Add an app...</option>
+                {available.map(app => <option key={app.id} value={app.id}>{app.name} ({app.id})</option>)}
+              </select>
+              <button type="button" className="btn btn-secondary" disabled={!adding} onClick={handleAdd}>Add</button>
+            </div>
+          </div>
+
+          <div className="settings-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving || members.length === 0}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default StackDialog;
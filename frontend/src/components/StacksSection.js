@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import StackDialog from './StackDialog';
+import './AppCard.css';
+import './StacksSection.css';
+
+// A stack is running when all of its apps run and stopped when none does
+function stackStatus(members) {
+  if (members.some(member => member.status === 'unknown')) return 'unknown';
+  if (members.every(member => member.status === 'running')) return 'running';
+  if (members.every(member => member.status === 'stopped')) return 'stopped';
+  return 'partial';
+}
+
+const STATUS_TEXT = {
+  running: 'Running',
+  partial: 'Partial',
+  stopped: 'Stopped',
+  unknown: 'Unknown'
+};
+
+function StackCard({ stack, apps, onRun, onEdit, onDelete, canOperate, isAdmin }) {
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  // Live status from the app list, which the event stream keeps current
+  const members = stack.apps.map(member => {
+    const app = apps.find(candidate => candidate.id === member.appId);
+    return { ...member, name: app ? app.name : member.appId, status: app ? app.status : 'unknown' };
+  });
+  const status = stackStatus(members);
+
+  const run = async (action, successText) => {
+    setLoading(true);
+    setError(null);
+    setSuccessMessage(null);
+    setJob(null);
+
+    try {
+      await onRun(stack.id, action, setJob);
+      setSuccessMessage(successText);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setJob(null);
+    }
+  };
+
+  return (
+    <div className={`app-card stack-card ${loading ? 'starting' : status}`}>
+      <div className="app-card-header">
+        <h3 className="stack-name">{stack.name}</h3>
+        <div className="app-status-badge">{loading ? 'Working...' : STATUS_TEXT[status]}</div>
+      </div>
+
+      <div className="app-card-body">
+        {stack.description && <p>{stack.description}</p>}
+
+        <ol className="stack-members">
+          {members.map(member => (
+            <li key={member.appId} className={`stack-member ${member.status}`}>
+              <span className="stack-member-dot" />
+              {member.name}
+            </li>
+          ))}
+        </ol>
+
+        {loading && job && job.message && (
+          <div className="job-progress">
+            <div className="job-progress-label">{job.message}</div>
+            <div className="progress-bar indeterminate">
+              <div className="progress-bar-fill" />
+            </div>
+          </div>
+        )}
+
+        {successMessage && <div className="message success">{successMessage}</div>}
+        {error && <div className="message error">{error}</div>}
+
+        {isAdmin && (
+          <div className="app-admin-actions">
+            <button className="settings-toggle" onClick={() => onEdit(stack)}>✏️ Edit</button>
+            <button className="settings-toggle" onClick={() => onDelete(stack)}>🗑️ Delete</button>
+          </div>
+        )}
+      </div>
+
+      {canOperate && (
+        <div className="app-card-footer">
+          <button
+            className="btn btn-secondary"
+            onClick={() => run('stop', 'Stack stopped')}
+            disabled={loading || status === 'stopped'}
+          >
+            Stop all
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => run('start', 'Stack started')}
+            disabled={loading || status === 'running'}
+          >
+            Start all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StacksSection({ stacks, apps, onRun, onChanged, canOperate, isAdmin }) {
+  // undefined when closed, null for a new stack
+  const [editing, setEditing] = useState(undefined);
+  const [error, setError] = useState(null);
+
+  const handleDelete = async (stack) => {
+    if (!window.confirm(`Delete the stack ${stack.name}? Its apps keep running.`)) return;
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/stacks/${stack.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete stack');
+      await onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaved = async () => {
+    setEditing(undefined);
+    await onChanged();
+  };
+
+  if (stacks.length === 0 && !isAdmin) return null;
+
+  return (
+    <div className="category-section">
+      <h2 className="category-header">
+        Stacks
+        <span className="category-count">({stacks.length})</span>
+        {isAdmin && (
+          <button className="stack-new" onClick={() => setEditing(null)}>+ New stack</button>
+        )}
+      </h2>
+
+      {error && <div className="error-banner">Error: {error}</div>}
+
+      <div className="apps-grid">
+        {stacks.map(stack => (
+          <StackCard
+            key={stack.id}
+            stack={stack}
+            apps={apps}
+            onRun={onRun}
+            onEdit={setEditing}
+            onDelete={handleDelete}
+            canOperate={canOperate}
+            isAdmin={isAdmin}
+          />
+        ))}
+      </div>
+
+      {editing !== undefined && (
+        <StackDialog
+          stack={editing}
+          apps={apps}
+          onSaved={handleSaved}
+          onClose={() => setEditing(undefined)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default StacksSection;
@@ -300,10 +300,10 @@ class CICDValidator {
     console.log('═══════════════════════════════════════════════════');
     console.log('\n📍 Web Interfaces:');
     console.log('   GitLab:       http://localhost:8180');
-    console.log('                 User: root | Pass: cicd_admin_password');
+    console.log('                 User: root | Pass: (see Credentials in Hamnen)');
     console.log('   Jenkins:      http://localhost:8181');
     console.log('   Harbor:       http://localhost:8182');
-    console.log('                 User: admin');
+    console.log('                 User: admin | Pass: (see Credentials in Hamnen)');
     console.log('   Nexus:        http://localhost:8184');
     console.log('                 User: admin | Pass: (see nexus-data/admin.password)');
     console.log('   SonarQube:    http://localhost:8186');